@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// automation.js - one entry point for every tool; each subcommand lives in commands/<name>.js
+import { parseArgs } from "./lib/config.js";
+
+const COMMANDS = ["login", "crawl", "capture", "compare", "diff-dirs", "links", "validate-input", "report", "baseline"];
+
+async function loadCommand(name) {
+  return import(`./commands/${name}.js`);
+}
+
+async function printUsage() {
+  console.log(`
+Usage: node automation.js <command> [options]
+
+Commands:`);
+  for (const name of COMMANDS) {
+    const { summary } = await loadCommand(name);
+    console.log(`  ${name.padEnd(16)}${summary}`);
+  }
+  console.log(`
+Run \`node automation.js <command> --help\` for the options of a command.
+`);
+}
+
+const [name, ...argv] = process.argv.slice(2);
+
+if (!name || name === "--help" || name === "-h") {
+  await printUsage();
+} else if (!COMMANDS.includes(name)) {
+  console.error(`Unknown command "${name}"`);
+  await printUsage();
+  process.exit(1);
+} else {
+  const command = await loadCommand(name);
+  if (parseArgs(argv).help) {
+    console.log(command.usage);
+  } else {
+    try {
+      await command.main(argv);
+    } catch (error) {
+      console.error(error.name === "LoginError" ? "🔒" : `❌ ${name} failed:`, error.message);
+      process.exit(1);
+    }
+  }
+}
@@ -0,0 +1,99 @@
+import { loadConfig, parseArgs } from "../lib/config.js";
+import { latestRunId, runPaths } from "../lib/runs.js";
+import {
+  readCandidates,
+  writeCandidates,
+  readBaselineManifest,
+  approveCandidate,
+  saveApprovals,
+  baselineSetDir
+} from "../lib/baseline.js";
+
+export const summary = "Review and approve the screenshots of a `compare --baseline` run";
+
+export const usage = `
+Usage: automation baseline <command> [options]
+
+Commands:
+  list                          Show pending candidates and the approved baseline
+  approve --url <path>          Approve one URL (all viewports, or --viewport <name>)
+  approve --all                 Approve every new or changed candidate that was not rejected
+  reject --url <path>           Keep the current baseline for a URL (or --viewport <name>)
+
+Options:
+  --run <id>                    Run whose candidates to review (default: the latest run)
+  --baseline-name <name>        Baseline set to work on (default from config)
+  --config, -c <file>           Config file
+  --help, -h                    Show this help
+`;
+
+function matches(candidate, args) {
+  if (args.url && candidate.url !== args.url) return false;
+  if (args.viewport && candidate.viewport !== args.viewport) return false;
+  return true;
+}
+
+function list(config, candidates) {
+  const manifest = readBaselineManifest(config);
+  const entries = Object.values(manifest.entries);
+  console.log(`📁 Baseline "${config.baselineName}" (${baselineSetDir(config)}): ${entries.length} approved screenshot(s)`);
+
+  if (!candidates.length) return console.log('No pending candidates. Run `node automation.js compare --baseline` first.');
+  console.log(`\n🔍 Candidates from the last run:`);
+  for (const c of candidates) {
+    const state = c.rejected ? '🚫 rejected' : c.approved ? '✅ approved' : c.status;
+    console.log(`  ${c.url} [${c.viewport}] - ${state}${c.diffPixels ? ` (${c.diffPixels} pixels differ)` : ''}`);
+  }
+}
+
+function approve(config, candidates, args) {
+  if (!args.all && !args.url) throw new Error('approve needs --url <path> or --all');
+
+  const selected = candidates.filter(c => args.all
+    ? !c.rejected && !c.approved && c.status !== 'unchanged'
+    : matches(c, args));
+  if (!selected.length) return console.log('Nothing to approve.');
+
+  const manifest = readBaselineManifest(config);
+  const archiveStamp = new Date().toISOString().replace(/[:.]/g, '-');
+  for (const candidate of selected) {
+    const entry = approveCandidate(config, candidate, manifest, archiveStamp);
+    candidate.approved = true;
+    candidate.rejected = false;
+    console.log(`✅ Approved ${candidate.url} [${candidate.viewport}] as version ${entry.version}`);
+  }
+  saveApprovals(config, manifest);
+  writeCandidates(config, candidates);
+}
+
+function reject(config, candidates, args) {
+  if (!args.url) throw new Error('reject needs --url <path>');
+
+  const selected = candidates.filter(c => matches(c, args));
+  if (!selected.length) return console.log(`No candidate found for ${args.url}`);
+
+  for (const candidate of selected) {
+    candidate.rejected = true;
+    console.log(`🚫 Rejected ${candidate.url} [${candidate.viewport}] - baseline kept`);
+  }
+  writeCandidates(config, candidates);
+}
+
+export async function main(argv) {
+  const args = parseArgs(argv);
+  const [command] = args._ || [];
+  if (!command) throw new Error('baseline needs a command: list, approve or reject');
+
+  const config = await loadConfig(argv);
+  const runId = args.run || latestRunId(config);
+  if (!runId) throw new Error(`No runs found in ${config.runsDir}`);
+  config.screenshotDir = runPaths(config, runId).screenshotDir;
+  console.log(`📋 Run ${runId}`);
+
+  const candidates = readCandidates(config);
+
+  if (command === 'list') list(config, candidates);
+  else if (command === 'approve') approve(config, candidates, args);
+  else if (command === 'reject') reject(config, candidates, args);
+  else throw new Error(`Unknown baseline command "${command}" (use list, approve or reject)`);
+}
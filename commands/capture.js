@@ -0,0 +1,82 @@
+import fs from "fs-extra";
+import path from "path";
+import { loadConfig, parseArgs, resolveEnvironment, sharedOptionsHelp } from "../lib/config.js";
+import { resolveViewports } from "../lib/viewports.js";
+import { getMasksForUrl } from "../lib/masks.js";
+import { loadRecipes } from "../lib/recipes.js";
+import { readUrlsFromExcel } from "../lib/input.js";
+import { isAuthError } from "../lib/login.js";
+import { HostLimiter } from "../lib/host-limiter.js";
+import { CaptureSession } from "../lib/capture-session.js";
+import { captureScreenshot, screenshotExtension } from "../lib/capture.js";
+import { runWithConcurrencyLimit } from "../lib/concurrency.js";
+
+export const summary = "Capture screenshots of one environment without comparing";
+
+export const usage = `
+Usage: automation capture [options]
+
+Captures every URL of --input on one environment in every viewport, e.g. to compare the
+folders later with \`automation diff-dirs\`. An index of the captures is written to capture.json.
+
+  --env <env|url>         Environment profile or base URL to capture (default: --left)
+  --dir <dir>             Output directory (default captures/<env>)
+  --accessibility-audit   Also record the axe-core violations of every page in capture.json
+${sharedOptionsHelp}`;
+
+export async function main(argv) {
+  const args = parseArgs(argv);
+  const config = await loadConfig(argv);
+  const recipes = loadRecipes(config);
+  const env = args.env ? resolveEnvironment(config, args.env) : config.devEnv;
+  const dir = args.dir || path.join("captures", env.name.replace(/\W+/g, "_"));
+  const viewports = resolveViewports(config.viewports);
+  const ext = screenshotExtension(config);
+
+  const urls = readUrlsFromExcel(config.excelFile);
+  if (!urls.length) return console.log('No URLs to process. Exiting.');
+
+  const session = await CaptureSession.open(config, { dev: env }, viewports);
+  const hostLimiter = new HostLimiter(config, { ignoreError: isAuthError });
+
+  const tasks = urls.flatMap(urlPath => viewports.map(viewport => async () => {
+    const label = `${urlPath} [${viewport.name}]`;
+    const screenshot = path.join(dir, `${urlPath.replace(/\W+/g, '_')}__${viewport.name}.${ext}`);
+    const masks = getMasksForUrl(config.masks, urlPath);
+    const base = { url: urlPath, viewport: viewport.name };
+
+    return session.withRetries(label, async () => {
+      const page = await session.newPage('dev', viewport.name);
+      try {
+        const { stable, checks } = await hostLimiter.run(env.baseUrl,
+          () => captureScreenshot(page, env, urlPath, screenshot, { config, recipes, masks }));
+        return { ...base, screenshot, stable, ...checks };
+      } finally {
+        await page.close();
+      }
+    }, error => ({ ...base, error: error.message, authFailure: isAuthError(error) }));
+  }));
+
+  let captures;
+  try {
+    captures = await runWithConcurrencyLimit(tasks, config.concurrency);
+  } finally {
+    await session.close();
+  }
+
+  fs.outputJsonSync(path.join(dir, "capture.json"), {
+    environment: env.name,
+    baseUrl: env.baseUrl,
+    capturedAt: new Date().toISOString(),
+    captures
+  }, { spaces: 2 });
+
+  const failed = captures.filter(c => c.error);
+  const unstable = captures.filter(c => c.stable === false);
+  console.log(`\n📸 ${captures.length - failed.length}/${captures.length} screenshot(s) of ${env.name} written to ${dir}`);
+  if (unstable.length) console.log(`⏳ Never stabilised: ${unstable.map(c => `${c.url} [${c.viewport}]`).join(', ')}`);
+  if (failed.length) {
+    failed.forEach(c => console.error(`💥 ${c.url} [${c.viewport}]: ${c.error}`));
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,102 @@
+import fs from "fs-extra";
+import { loadConfig, sharedOptionsHelp, defaults } from "../lib/config.js";
+import { resolveViewports } from "../lib/viewports.js";
+import { writeCandidates } from "../lib/baseline.js";
+import { getFailingResults } from "../lib/ci-output.js";
+import { openRun } from "../lib/runs.js";
+import { loadRecipes } from "../lib/recipes.js";
+import { readUrlsFromExcel } from "../lib/input.js";
+import { processTasks } from "../lib/compare-run.js";
+import { buildSummary, printSummary, writeReports } from "../lib/reports.js";
+
+export const summary = "Capture both environments, compare them and write the reports";
+
+export const usage = `
+Usage: automation compare [options]
+
+Captures every URL of --input on --left and --right (or the approved baseline) in every viewport,
+diffs the screenshots and page text and writes PDF, HTML, JSON and JUnit reports into a new run.
+
+  --out, -o <dir>         Report directory inside the run directory (default ${defaults.out})
+  --report-name <file>    PDF report file name (default ${defaults.reportName})
+  --html-report-name <file>  HTML report file name (default ${defaults.htmlReportName})
+  --no-html-embed-images  Link screenshots from the HTML report instead of inlining them
+  --fail-on <statuses>    Statuses that fail the run with exit code 1: warning,diff,failed or none (default ${defaults.failOn.join(",")})
+  --max-failures <n>      Number of failing URLs tolerated before the run fails (default ${defaults.maxFailures})
+  --screenshot-dir <dir>  Screenshot directory inside the run directory (default ${defaults.screenshotDir})
+  --runs-dir <dir>        Where run directories are created (default ${defaults.runsDir})
+  --run-id <id>           Name of a new run (default: timestamp)
+  --resume [id]           Continue an interrupted run (default: the latest run)
+  --only-failed [id]      Re-run URLs that failed or differed in a run and merge them into its reports
+  --compare-mode <mode>   pad (default), bands (align identical pixel rows) or sections (align DOM sections)
+  --no-text-diff          Skip the word-level content diff next to the pixel diff
+  --text-only             Compare page text only, without taking screenshots
+  --baseline              Compare --left against the approved baseline instead of --right
+  --baseline-name <name>  Baseline set under --baseline-dir (default ${defaults.baselineName})
+  --no-performance-metrics  Skip collecting Navigation Timing, LCP, CLS, TBT and request totals per page
+  --no-capture-page-errors  Skip recording console errors, exceptions, failed requests and 4xx/5xx responses
+  --no-seo-metadata       Skip comparing title, meta tags, canonical, hreflang, Open Graph, Twitter and JSON-LD
+  --accessibility-audit   Run axe-core on every page and report new and fixed violations
+  --a11y-fail-on <impacts>  Fail the run on new violations of these impacts, e.g. serious,critical
+${sharedOptionsHelp}`;
+
+export async function main(argv) {
+  const startTime = Date.now();
+  const config = await loadConfig(argv);
+  const recipes = loadRecipes(config);
+
+  // Each run gets its own directory; --resume / --only-failed reopen an earlier one
+  const run = openRun(config);
+
+  if (config.textOnly && config.baseline) throw new Error('--text-only compares two live environments and cannot be combined with --baseline');
+  if (config.baseline && config.screenshotFormat !== 'png') throw new Error('Baselines are stored as PNG - use --screenshot-format png with --baseline');
+
+  // Text does not depend on the window size, so a text-only run uses the first viewport only
+  const allViewports = resolveViewports(config.viewports);
+  const viewports = config.textOnly ? allViewports.slice(0, 1) : allViewports;
+
+  if (!config.resume && !config.onlyFailed) {
+    const urls = readUrlsFromExcel(config.excelFile);
+    if (!urls.length) return console.log('No URLs to process. Exiting.');
+    run.addTasks(urls, viewports.map(v => v.name));
+  }
+  ['dev', 'prod', 'diff'].forEach(dir => fs.ensureDirSync(`${config.screenshotDir}/${dir}`));
+  fs.ensureDirSync(config.out);
+
+  const pending = run.selectTasks(config.onlyFailed ? 'only-failed' : 'pending');
+  console.log(`📋 Run ${run.id}: ${pending.length} task(s) to process`);
+  if (pending.length) await processTasks(config, recipes, run, pending, viewports);
+
+  // Reports always cover the whole run, including tasks finished by earlier invocations
+  const results = run.results();
+  const summary = buildSummary(results, {
+    viewports: viewports.map(v => v.label),
+    totalDuration: (Date.now() - startTime) / 1000
+  });
+  printSummary(results, summary);
+
+  if (config.baseline) {
+    writeCandidates(config, results.filter(r => !r.failed).map(r => ({
+      url: r.url,
+      viewport: r.viewport,
+      screenshot: r.devPath,
+      ignoreRects: r.devIgnoreRects,
+      sections: r.devSections,
+      environment: config.devEnv.name,
+      status: r.baselineMissing ? 'new' : r.match ? 'unchanged' : 'changed',
+      diffPixels: r.diffPixels
+    })));
+    console.log(`\n📁 Compared against baseline "${config.baselineName}". Review with: node automation.js baseline list`);
+  }
+
+  await writeReports(results, summary, config);
+
+  // Gate CI pipelines on the configured failure criteria
+  const { failing, failed } = getFailingResults(results, config);
+  if (failed) {
+    const a11y = config.a11yFailOn.length ? ` or new ${config.a11yFailOn.join('/')} accessibility violations` : '';
+    console.error(`\n🚨 ${failing.length} URL(s) with status ${config.failOn.join('/')}${a11y} (allowed: ${config.maxFailures}) - failing the run.`);
+    process.exitCode = 1;
+  }
+  console.log(`\n📁 Run ${run.id} written to ${run.paths.dir}`);
+}
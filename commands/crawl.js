@@ -0,0 +1,38 @@
+import { loadConfig, parseArgs, sharedOptionsHelp, defaults } from "../lib/config.js";
+import { readFullUrlsFromExcel } from "../lib/input.js";
+import { crawl, writeUrlList } from "../lib/crawler.js";
+
+export const summary = "Crawl a site from seed URLs and write the URL list for compare";
+
+export const usage = `
+Usage: automation crawl [<seed-url>...] [options]
+
+Follows the links of every page, breadth-first, on the hosts of the seed URLs and writes the pages
+found as a URL workbook in the layout of urls.xlsx, ready for --input.
+
+  <seed-url>              Page(s) to start from
+  --seeds <file.xlsx>     Workbook with seed URLs in its first column (instead of or next to <seed-url>)
+  --crawl-depth <n>       Link hops followed from the seeds (default ${defaults.crawlDepth})
+  --crawl-max-pages <n>   Stop after this many pages (default ${defaults.crawlMaxPages})
+  --crawl-include <list>  Comma-separated path patterns a page must match, "*" as wildcard (default: all)
+  --crawl-exclude <list>  Comma-separated path patterns of pages to skip
+  --crawl-locales <list>  Only follow paths below these locales, e.g. de_DE
+  --crawl-out <file>      Output workbook (default ${defaults.crawlOut})
+${sharedOptionsHelp}`;
+
+export async function main(argv) {
+  const args = parseArgs(argv);
+  const config = await loadConfig(argv);
+  const seeds = [...(args._ || []), ...(args.seeds ? readFullUrlsFromExcel(args.seeds) : [])];
+  if (!seeds.length) throw new Error('crawl needs at least one seed URL or --seeds <file.xlsx>');
+  seeds.forEach(seed => new URL(seed)); // Fail early on a malformed seed
+
+  const { pages, failed } = await crawl(seeds, config);
+  writeUrlList(pages, config.crawlOut);
+
+  console.log(`\n🕸️ ${pages.length} page(s) written to ${config.crawlOut}`);
+  if (failed.length) {
+    console.warn(`⚠️ ${failed.length} page(s) could not be loaded:`);
+    failed.forEach(entry => console.warn(`   ${entry.url}${entry.foundOn ? ` (linked from ${entry.foundOn})` : ''}: ${entry.error}`));
+  }
+}
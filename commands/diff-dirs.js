@@ -0,0 +1,166 @@
+import fs from "fs-extra";
+import path from "path";
+import sharp from "sharp";
+import { loadConfig, parseArgs, DEFAULT_CONFIG_FILE } from "../lib/config.js";
+import { getThresholdsForUrl, evaluateDiff, describeThresholds } from "../lib/thresholds.js";
+import { compareScreenshots } from "../lib/image-compare.js";
+import { generatePDFReport } from "../lib/pdf-report.js";
+import { buildSummary, printSummary } from "../lib/reports.js";
+import { STATUS_ICONS } from "../lib/results.js";
+
+const DEFAULT_DIRS = {
+  left: "screenshots/dev",
+  right: "screenshots/prod",
+  diff: "screenshots/diff",
+  report: "reports/result-report.pdf"
+};
+
+// Any format sharp reads; PDFKit only embeds PNG and JPEG, so other formats get a PNG preview
+const IMAGE_FILE = /\.(png|jpe?g|webp|avif|gif|tiff?|heic|heif)$/i;
+const PDF_IMAGE = /\.(png|jpe?g)$/i;
+
+export const summary = "Compare two folders of existing screenshots offline";
+
+export const usage = `
+Usage: automation diff-dirs [<left-dir> <right-dir>] [options]
+
+Compares every screenshot below <left-dir> with the file at the same relative path (in any image
+format) below <right-dir>, including sub-directories, and writes the diff images and a PDF report.
+Screenshots found on one side only are reported as missing. Pass/fail thresholds come from the config file.
+
+  <left-dir>              Screenshots to check (default ${DEFAULT_DIRS.left})
+  <right-dir>             Screenshots to compare against (default ${DEFAULT_DIRS.right})
+  --diff-dir <dir>        Where the diff images are written (default ${DEFAULT_DIRS.diff})
+  --report <file>         PDF report (default ${DEFAULT_DIRS.report})
+  --map <file>            JSON object mapping left file paths to right file paths, for renamed pages
+  --config, -c <file>     Config file with the thresholds (default ${DEFAULT_CONFIG_FILE})
+  --help, -h              Show this help
+`;
+
+// Relative path without extension → file, for every image below `dir`
+function listImages(dir) {
+  const images = new Map();
+  const walk = subDir => {
+    for (const entry of fs.readdirSync(path.join(dir, subDir), { withFileTypes: true })) {
+      const relPath = path.join(subDir, entry.name);
+      if (entry.isDirectory()) walk(relPath);
+      else if (IMAGE_FILE.test(entry.name)) {
+        const name = relPath.replace(IMAGE_FILE, "").split(path.sep).join("/");
+        if (images.has(name)) console.warn(`⚠️ ${path.join(dir, relPath)} has the same name as ${images.get(name)} - skipped`);
+        else images.set(name, path.join(dir, relPath));
+      }
+    }
+  };
+  walk("");
+  return images;
+}
+
+// { "left/path.png": "right/path.png" } as pair names (relative paths without extension)
+function readMapping(mapFile) {
+  if (!mapFile) return {};
+  if (!fs.existsSync(mapFile)) throw new Error(`Mapping file not found: ${mapFile}`);
+  const toName = file => String(file).replace(/\\/g, "/").replace(/^\.?\//, "").replace(IMAGE_FILE, "");
+  return Object.fromEntries(Object.entries(fs.readJsonSync(mapFile)).map(([left, right]) => [toName(left), toName(right)]));
+}
+
+// Every screenshot of both sides, paired by name (or the mapping); unpaired ones have a null side
+function getScreenshotPairs(leftDir, rightDir, mapping) {
+  const leftImages = listImages(leftDir);
+  const rightImages = listImages(rightDir);
+  const pairs = [];
+  const pairedRight = new Set();
+
+  for (const [name, left] of leftImages) {
+    const rightName = mapping[name] || name;
+    const right = rightImages.get(rightName) || null;
+    if (right) pairedRight.add(rightName);
+    pairs.push({ name: rightName === name ? name : `${name} → ${rightName}`, left, right });
+  }
+  for (const [name, right] of rightImages) {
+    if (!pairedRight.has(name)) pairs.push({ name, left: null, right });
+  }
+  return pairs.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// File name inside the diff directory for a pair and a suffix, mirroring the sub-directories
+function outputPath(diffDir, pair, suffix) {
+  return path.join(diffDir, `${pair.name.replace(/ → .*/, "")}${suffix}.png`);
+}
+
+// Path PDFKit can embed: the image itself, or a PNG copy next to the diff image
+// (null if the image cannot be read - the comparison then reports the error)
+async function reportImage(filePath, previewPath) {
+  if (!filePath || PDF_IMAGE.test(filePath)) return filePath;
+  try {
+    fs.ensureDirSync(path.dirname(previewPath));
+    await sharp(filePath).png().toFile(previewPath);
+    return previewPath;
+  } catch {
+    return null;
+  }
+}
+
+export async function main(argv) {
+  const startTime = Date.now();
+  const args = parseArgs(argv);
+  const config = await loadConfig(argv);
+  const [leftDir = DEFAULT_DIRS.left, rightDir = DEFAULT_DIRS.right] = args._ || [];
+  const diffDir = args.diffDir || DEFAULT_DIRS.diff;
+  const reportPath = args.report || DEFAULT_DIRS.report;
+
+  for (const dir of [leftDir, rightDir]) {
+    if (!fs.existsSync(dir)) throw new Error(`Screenshot directory not found: ${dir}`);
+  }
+  fs.ensureDirSync(diffDir);
+  const labels = { dev: path.basename(leftDir), prod: path.basename(rightDir) };
+
+  const pairs = getScreenshotPairs(leftDir, rightDir, readMapping(args.map));
+  if (!pairs.length) return console.log(`No screenshots in ${leftDir} or ${rightDir}. Exiting.`);
+
+  const results = [];
+  for (const pair of pairs) {
+    const taskStartTime = Date.now();
+    const base = {
+      url: pair.name,
+      devPath: await reportImage(pair.left, outputPath(diffDir, pair, "_left")),
+      prodPath: await reportImage(pair.right, outputPath(diffDir, pair, "_right"))
+    };
+
+    if (!pair.left || !pair.right) {
+      const missing = pair.left ? 'prod' : 'dev';
+      console.log(`🚫 ${pair.name}: missing in ${labels[missing]}`);
+      results.push({ ...base, match: false, failed: true, missing, error: `No screenshot in ${labels[missing]}`, diffPixels: null, diffPath: null, duration: 0 });
+      continue;
+    }
+
+    try {
+      const diffPath = outputPath(diffDir, pair, "_diff");
+      const thresholds = getThresholdsForUrl(config.thresholds, pair.name);
+      const { diffPixels, totalPixels } = await compareScreenshots(pair.left, pair.right, diffPath);
+      const diffPercent = (diffPixels / totalPixels) * 100;
+      const status = evaluateDiff(diffPixels, diffPercent, thresholds);
+      console.log(`${STATUS_ICONS[status]} ${pair.name}: ${diffPixels} pixels (${diffPercent.toFixed(3)}%) - ${status}`);
+      results.push({
+        ...base,
+        status,
+        match: status === 'match',
+        diffPixels,
+        diffPercent,
+        thresholds: describeThresholds(thresholds),
+        diffPath,
+        duration: (Date.now() - taskStartTime) / 1000
+      });
+    } catch (error) {
+      console.error(`💥 ${pair.name}: ${error.message}`);
+      results.push({ ...base, match: false, failed: true, error: error.message, diffPixels: null, diffPath: null, duration: (Date.now() - taskStartTime) / 1000 });
+    }
+  }
+
+  const summary = buildSummary(results, { totalDuration: (Date.now() - startTime) / 1000 });
+  printSummary(results, summary);
+  await generatePDFReport(results, summary, {
+    reportPath,
+    labels,
+    title: "Screenshot Folder Comparison"
+  });
+}
@@ -0,0 +1,68 @@
+import { loadConfig, parseArgs, sharedOptionsHelp, defaults } from "../lib/config.js";
+import { readFullUrlsFromExcel, readUrlRows } from "../lib/input.js";
+import { collectLinks, writeLinksWorkbook } from "../lib/links.js";
+import { diffPageLinks, writeLinkDiffWorkbook } from "../lib/link-diff.js";
+
+export const summary = "List the internal and external links of every page in a workbook";
+
+export const usage = `
+Usage: automation links [<input.xlsx>] [options]
+
+Opens every full URL in the first column of the workbook and writes its links (outside the header
+and footer) into a timestamped workbook. With --link-diff every page path is opened on --left and
+--right instead, and the workbook lists the links found on one environment only.
+
+  <input.xlsx>            Workbook with the page URLs (default ${defaults.linksInput}, or --links-input)
+  --links-out <dir>       Output directory (default ${defaults.linksOut})
+  --check-links           Request every unique link once and report broken and redirected links
+  --link-check-timeout <ms>  Time allowed per link request (default ${defaults.linkCheckTimeout})
+  --max-redirects <n>     Redirects followed before a link counts as broken (default ${defaults.maxRedirects})
+  --link-diff             Compare the links of each page between --left and --right
+${sharedOptionsHelp}`;
+
+// Same paths on --left and --right, one workbook sheet per page group
+async function linkDiff(inputFile, config) {
+  const paths = [...new Set(readUrlRows(inputFile).rows.filter(row => row.path && !row.error).map(row => row.path))];
+  if (!paths.length) throw new Error(`No URLs found in ${inputFile}`);
+  const { devEnv, prodEnv } = config;
+  console.log(`Found ${paths.length} paths to compare between ${devEnv.name} and ${prodEnv.name}`);
+
+  const results = await collectLinks([
+    ...paths.map(urlPath => `${devEnv.baseUrl}${urlPath}`),
+    ...paths.map(urlPath => `${prodEnv.baseUrl}${urlPath}`)
+  ], config);
+
+  const diffs = paths.map((urlPath, i) => diffPageLinks(urlPath, results[i], results[paths.length + i], config));
+  for (const diff of diffs) {
+    const changed = diff.onlyLeft.length || diff.onlyRight.length;
+    console.log(`${diff.error ? '💥' : changed ? '❌' : '✅'} ${diff.path}: ${diff.onlyLeft.length} only on ${devEnv.name}, ${diff.onlyRight.length} only on ${prodEnv.name}, ${diff.both.length} on both`);
+  }
+
+  const outputFile = writeLinkDiffWorkbook(diffs, { dev: devEnv.name, prod: prodEnv.name }, config.linksOut);
+  console.log(`\nResults saved to: ${outputFile}`);
+}
+
+export async function main(argv) {
+  const args = parseArgs(argv);
+  const config = await loadConfig(argv);
+  const inputFile = (args._ || [])[0] || config.linksInput;
+  if (config.linkDiff) return linkDiff(inputFile, config);
+
+  const urls = readFullUrlsFromExcel(inputFile);
+  if (!urls.length) throw new Error(`No URLs found in ${inputFile}`);
+  console.log(`Found ${urls.length} URLs to process`);
+
+  const results = await collectLinks(urls, config);
+  results.forEach(result => {
+    console.log(`URL ${result.index + 1} - Internal Links: ${result.internalLinks.length}, External Links: ${result.externalLinks.length}`);
+    if (result.linkChecks) {
+      const broken = result.linkChecks.filter(check => check.broken);
+      const redirected = result.linkChecks.filter(check => check.redirected).length;
+      console.log(`   ${broken.length ? '❌' : '✅'} ${broken.length} broken, ${redirected} redirected`);
+      broken.forEach(check => console.log(`      ${check.status ?? check.error} ${check.url}`));
+    }
+  });
+
+  const outputFile = writeLinksWorkbook(results, config.linksOut);
+  console.log(`\nResults saved to: ${outputFile}`);
+}
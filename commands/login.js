@@ -0,0 +1,50 @@
+import { loadConfig, parseArgs, resolveEnvironment } from "../lib/config.js";
+import { listSessions, loadSessions, clearSessions, isExpired } from "../lib/session-store.js";
+
+export const summary = "Log in and manage the saved sessions shared by all commands";
+
+export const usage = `
+Usage: automation login [refresh|list|clear] [options]
+
+  refresh [--env <names>]       Check the sessions and log in again where needed (default: --left and --right)
+  list                          Show saved sessions and when they expire
+  clear [--env <names>]         Delete saved sessions (default: all of them)
+
+Options:
+  --env <names>                 Comma-separated environment profiles or base URLs
+  --headless                    Log in without a browser window (needs scripted credentials)
+  --config, -c <file>           Config file
+  --help, -h                    Show this help
+`;
+
+function selectedEnvironments(config, args, fallback) {
+  if (!args.env) return fallback;
+  return String(args.env).split(",").map(name => resolveEnvironment(config, name.trim()));
+}
+
+function list(config) {
+  const sessions = listSessions(config);
+  if (!sessions.length) return console.log(`No saved sessions in ${config.sessionStoreDir}`);
+  for (const session of sessions) {
+    const state = isExpired(session) ? '⌛ expired' : '✅ valid';
+    console.log(`  ${session.host} (${session.environment}) - ${state}, saved ${session.savedAt}, expires ${session.expiresAt}`);
+  }
+}
+
+export async function main(argv) {
+  const args = parseArgs(argv);
+  const [action = 'refresh'] = args._ || [];
+  const config = await loadConfig(argv);
+
+  if (action === 'list') list(config);
+  else if (action === 'refresh') {
+    const environments = selectedEnvironments(config, args, [config.devEnv, config.prodEnv]);
+    await loadSessions(environments, config);
+    console.log(`💾 Sessions saved in ${config.sessionStoreDir}`);
+  } else if (action === 'clear') {
+    const removed = clearSessions(config, selectedEnvironments(config, args, null));
+    console.log(`🗑️ Removed ${removed.length} session(s)`);
+  } else {
+    throw new Error(`Unknown login action "${action}" (use refresh, list or clear)`);
+  }
+}
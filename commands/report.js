@@ -0,0 +1,50 @@
+import { loadConfig, parseArgs, defaults } from "../lib/config.js";
+import { resolveViewports } from "../lib/viewports.js";
+import { getFailingResults } from "../lib/ci-output.js";
+import { loadRun } from "../lib/runs.js";
+import { buildSummary, printSummary, writeReports } from "../lib/reports.js";
+
+export const summary = "Rebuild the reports of an earlier run from its manifest";
+
+export const usage = `
+Usage: automation report [options]
+
+Writes the PDF, HTML, JSON, JUnit and content-diff reports of a run again from its manifest,
+e.g. after changing report settings or thresholds for the CI gate. Nothing is captured.
+
+  --run <id>              Run to report on (default: the latest run)
+  --runs-dir <dir>        Where run directories live (default ${defaults.runsDir})
+  --out, -o <dir>         Report directory inside the run directory (default ${defaults.out})
+  --report-name <file>    PDF report file name (default ${defaults.reportName})
+  --html-report-name <file>  HTML report file name (default ${defaults.htmlReportName})
+  --no-html-embed-images  Link screenshots from the HTML report instead of inlining them
+  --fail-on <statuses>    Statuses that set exit code 1 (default ${defaults.failOn.join(",")})
+  --max-failures <n>      Number of failing URLs tolerated (default ${defaults.maxFailures})
+  --config, -c <file>     Config file
+  --help, -h              Show this help
+`;
+
+export async function main(argv) {
+  const args = parseArgs(argv);
+  const config = await loadConfig(argv);
+  const run = loadRun(config, args.run);
+  console.log(`📋 Run ${run.id}`);
+
+  const results = run.results();
+  if (!results.length) return console.log('The run has no finished tasks yet.');
+
+  const { createdAt, updatedAt } = run.manifest;
+  const summary = buildSummary(results, {
+    viewports: resolveViewports(config.viewports).map(v => v.label),
+    totalDuration: (new Date(updatedAt) - new Date(createdAt)) / 1000
+  });
+  printSummary(results, summary);
+  await writeReports(results, summary, config);
+
+  const { failing, failed } = getFailingResults(results, config);
+  if (failed) {
+    const a11y = config.a11yFailOn.length ? ` or new ${config.a11yFailOn.join('/')} accessibility violations` : '';
+    console.error(`\n🚨 ${failing.length} URL(s) with status ${config.failOn.join('/')}${a11y} (allowed: ${config.maxFailures}) - failing the run.`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,51 @@
+import { loadConfig, parseArgs, resolveEnvironment, DEFAULT_CONFIG_FILE, defaults } from "../lib/config.js";
+import { readUrlRows } from "../lib/input.js";
+
+export const summary = "Check a URL workbook for empty, invalid and duplicate rows";
+
+export const usage = `
+Usage: automation validate-input [<input.xlsx>] [options]
+
+Reads the URL column of the workbook the way capture, compare and links do and lists the problems.
+Exits with code 1 when a row cannot be used.
+
+  <input.xlsx>            Workbook to check (default --input, ${defaults.input})
+  --config, -c <file>     Config file with the environments (default ${DEFAULT_CONFIG_FILE})
+  --help, -h              Show this help
+`;
+
+// Base URLs of every configured environment, to spot full URLs pointing somewhere else
+function knownOrigins(config) {
+  return new Set(Object.keys(config.environments).map(name => new URL(resolveEnvironment(config, name).baseUrl).origin));
+}
+
+export async function main(argv) {
+  const args = parseArgs(argv);
+  const config = await loadConfig(argv);
+  const inputFile = (args._ || [])[0] || config.input;
+
+  const { sheetName, column, rows } = readUrlRows(inputFile);
+  console.log(`📋 ${inputFile}: sheet "${sheetName}", column "${column}", ${rows.length} row(s)`);
+
+  // Blank rows are skipped by every command, so they are only counted
+  const empty = rows.filter(row => row.error === "empty");
+  const errors = rows.filter(row => row.error && row.error !== "empty");
+  const warnings = [];
+  const origins = knownOrigins(config);
+  const seen = new Map();
+  for (const row of rows.filter(r => !r.error)) {
+    const key = row.url || row.path;
+    if (seen.has(key)) warnings.push({ row: row.row, message: `duplicate of row ${seen.get(key)}: ${row.value}` });
+    else seen.set(key, row.row);
+    if (row.url && !origins.has(new URL(row.url).origin)) {
+      warnings.push({ row: row.row, message: `host is not a configured environment: ${row.value}` });
+    }
+  }
+
+  errors.forEach(row => console.error(`❌ Row ${row.row}: ${row.error} (${row.value})`));
+  warnings.sort((a, b) => a.row - b.row).forEach(w => console.warn(`⚠️ Row ${w.row}: ${w.message}`));
+
+  const usable = rows.length - errors.length - empty.length;
+  console.log(`\n${errors.length ? '❌' : '✅'} ${usable} usable row(s), ${empty.length} empty, ${errors.length} error(s), ${warnings.length} warning(s)`);
+  if (errors.length) process.exitCode = 1;
+}
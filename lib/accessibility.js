@@ -0,0 +1,90 @@
+import { createRequire } from "module";
+
+// Accessibility audit with the bundled axe-core, run on the page while it is loaded for capture.
+// Violations are compared per rule and element, so the report can tell what a release introduced
+// (new on the left side) from what it fixed (only on the right side). An audit that could not run
+// is recorded as { error } instead of violations.
+
+const require = createRequire(import.meta.url);
+// Evaluated rather than added as a <script> tag, which a strict Content-Security-Policy blocks
+const AXE_SOURCE = require("axe-core").source;
+
+export const IMPACTS = ["critical", "serious", "moderate", "minor"];
+
+// [{ rule, impact, description, helpUrl, selectors, count }] for every rule the page violates
+export async function runAxeAudit(page) {
+  await page.evaluate(AXE_SOURCE);
+  return page.evaluate(async () => {
+    const { violations } = await window.axe.run(document, { resultTypes: ["violations"] });
+    return violations.map(violation => ({
+      rule: violation.id,
+      impact: violation.impact || "minor",
+      description: violation.help,
+      helpUrl: violation.helpUrl,
+      selectors: violation.nodes.map(node => node.target.join(" ")),
+      count: violation.nodes.length
+    }));
+  });
+}
+
+// Number of affected elements per impact
+export function severityTotals(violations = []) {
+  const totals = Object.fromEntries(IMPACTS.map(impact => [impact, 0]));
+  for (const violation of violations) totals[violation.impact] += violation.count;
+  return totals;
+}
+
+function occurrences(violations) {
+  return violations.flatMap(v => v.selectors.map(selector => ({ rule: v.rule, impact: v.impact, description: v.description, selector })));
+}
+
+// Occurrences only the left side has (new) and only the right side has (fixed); when the audit failed
+// on either side only the error is kept
+export function compareAudits(devViolations, prodViolations) {
+  const failed = [devViolations, prodViolations].find(audit => audit && audit.error);
+  if (failed) return { error: failed.error };
+  const key = o => `${o.rule}\n${o.selector}`;
+  const devOccurrences = occurrences(devViolations);
+  const prodOccurrences = prodViolations ? occurrences(prodViolations) : null;
+  const devKeys = new Set(devOccurrences.map(key));
+  const prodKeys = prodOccurrences && new Set(prodOccurrences.map(key));
+  return {
+    dev: devViolations,
+    prod: prodViolations,
+    totals: { dev: severityTotals(devViolations), prod: prodViolations ? severityTotals(prodViolations) : null },
+    new: prodKeys ? devOccurrences.filter(o => !prodKeys.has(key(o))) : [],
+    fixed: prodOccurrences ? prodOccurrences.filter(o => !devKeys.has(key(o))) : []
+  };
+}
+
+// New violations with one of the given impacts, e.g. ["serious", "critical"]
+export function newViolationsAt(accessibility, impacts) {
+  return accessibility && !accessibility.error ? accessibility.new.filter(o => impacts.includes(o.impact)) : [];
+}
+
+export function describeTotals(totals) {
+  return IMPACTS.map(impact => `${impact} ${totals[impact]}`).join(", ");
+}
+
+export function summarizeAudit(accessibility) {
+  if (accessibility.error) return `audit failed: ${accessibility.error}`;
+  const total = accessibility.dev.reduce((sum, v) => sum + v.count, 0);
+  return `${total} violation(s) (${describeTotals(accessibility.totals.dev)}) - ${accessibility.new.length} new, ${accessibility.fixed.length} fixed`;
+}
+
+// Severity totals of both sides over all audited results, and the number of audits that failed
+export function totalSeverities(results) {
+  const audited = results.filter(r => r.accessibility && !r.accessibility.error);
+  const failed = results.filter(r => r.accessibility && r.accessibility.error).length;
+  if (!audited.length && !failed) return null;
+  const sum = side => Object.fromEntries(IMPACTS.map(impact => [
+    impact, audited.reduce((total, r) => total + (r.accessibility.totals[side]?.[impact] || 0), 0)
+  ]));
+  return {
+    dev: sum("dev"),
+    prod: sum("prod"),
+    new: audited.reduce((total, r) => total + r.accessibility.new.length, 0),
+    fixed: audited.reduce((total, r) => total + r.accessibility.fixed.length, 0),
+    failed
+  };
+}
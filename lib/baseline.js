@@ -0,0 +1,97 @@
+import fs from "fs-extra";
+import path from "path";
+import crypto from "crypto";
+
+// Approved screenshots live in <baselineDir>/<baselineName>/<viewport>/<url>.png, described by
+// a manifest.json. Images replaced by a later approval are kept under history/<timestamp>/.
+
+const MANIFEST = "manifest.json";
+
+function cleanName(urlPath) {
+  return urlPath.replace(/\W+/g, "_");
+}
+
+function entryKey(urlPath, viewport) {
+  return `${urlPath}::${viewport}`;
+}
+
+export function baselineSetDir(config) {
+  return path.join(config.baselineDir, config.baselineName);
+}
+
+export function baselineImagePath(config, urlPath, viewport) {
+  return path.join(baselineSetDir(config), viewport, `${cleanName(urlPath)}.png`);
+}
+
+export function candidatesPath(config) {
+  return path.join(config.screenshotDir, "baseline-candidates.json");
+}
+
+export function readBaselineManifest(config) {
+  const file = path.join(baselineSetDir(config), MANIFEST);
+  if (!fs.existsSync(file)) return { name: config.baselineName, entries: {} };
+  return fs.readJsonSync(file);
+}
+
+function writeBaselineManifest(config, manifest) {
+  fs.ensureDirSync(baselineSetDir(config));
+  fs.writeJsonSync(path.join(baselineSetDir(config), MANIFEST), manifest, { spaces: 2 });
+}
+
+export function getBaselineEntry(config, urlPath, viewport) {
+  return readBaselineManifest(config).entries[entryKey(urlPath, viewport)] || null;
+}
+
+// Screenshots captured by the last baseline run, waiting for review
+export function readCandidates(config) {
+  const file = candidatesPath(config);
+  if (!fs.existsSync(file)) return [];
+  return fs.readJsonSync(file).candidates;
+}
+
+export function writeCandidates(config, candidates) {
+  fs.ensureDirSync(path.dirname(candidatesPath(config)));
+  fs.writeJsonSync(candidatesPath(config), {
+    baselineName: config.baselineName,
+    updatedAt: new Date().toISOString(),
+    candidates
+  }, { spaces: 2 });
+}
+
+function sha256(filePath) {
+  return crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+// Copy a candidate screenshot into the baseline set, archiving the image it replaces
+export function approveCandidate(config, candidate, manifest, archiveStamp) {
+  if (!fs.existsSync(candidate.screenshot)) {
+    throw new Error(`Screenshot not found for ${candidate.url} [${candidate.viewport}]: ${candidate.screenshot}`);
+  }
+
+  const target = baselineImagePath(config, candidate.url, candidate.viewport);
+  if (fs.existsSync(target)) {
+    const archived = path.join(baselineSetDir(config), "history", archiveStamp, path.relative(baselineSetDir(config), target));
+    fs.copySync(target, archived);
+  }
+  fs.copySync(candidate.screenshot, target);
+
+  const key = entryKey(candidate.url, candidate.viewport);
+  const previous = manifest.entries[key];
+  manifest.entries[key] = {
+    url: candidate.url,
+    viewport: candidate.viewport,
+    file: path.relative(baselineSetDir(config), target),
+    sha256: sha256(target),
+    ignoreRects: candidate.ignoreRects || [],
+    sections: candidate.sections || [],
+    environment: candidate.environment,
+    approvedAt: new Date().toISOString(),
+    version: previous ? previous.version + 1 : 1
+  };
+  return manifest.entries[key];
+}
+
+export function saveApprovals(config, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  writeBaselineManifest(config, manifest);
+}
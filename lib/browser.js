@@ -0,0 +1,10 @@
+import { chromium } from "playwright";
+
+// Chromium as every command launches it
+export function launchBrowser(config, options = {}) {
+  return chromium.launch({
+    headless: config.headless,
+    args: ["--disable-blink-features=AutomationControlled"],
+    ...options
+  });
+}
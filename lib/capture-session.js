@@ -0,0 +1,99 @@
+import { launchBrowser } from "./browser.js";
+import { loadSessions } from "./session-store.js";
+import { createViewportContexts } from "./viewports.js";
+import { SessionExpiredError, isAuthError } from "./login.js";
+
+// One browser with a logged-in context per side ("dev" / "prod") and viewport. Each side gets its own
+// contexts so cookies, storage and caches of the two environments never mix.
+//
+// When a session expires mid-run the first worker to notice logs in again while the others wait;
+// workers that saw the expiry before that login finished just retry with the new session.
+export class CaptureSession {
+  constructor(config, sides, browser, contexts) {
+    this.config = config;
+    this.sides = sides;
+    this.browser = browser;
+    this.contexts = contexts;
+    this.generation = 0;
+    this.reauthentication = null;
+  }
+
+  // `sides` maps side names to the environments loaded in them, e.g. { dev: devEnv, prod: prodEnv }
+  static async open(config, sides, viewports) {
+    // Each side starts from the session of its own environment only
+    const storageStates = {};
+    for (const [side, env] of Object.entries(sides)) {
+      storageStates[side] = await loadSessions([env], config);
+    }
+    const browser = await launchBrowser(config);
+    const contexts = {};
+    for (const side of Object.keys(sides)) {
+      contexts[side] = await createViewportContexts(browser, viewports, storageStates[side]);
+    }
+    return new CaptureSession(config, sides, browser, contexts);
+  }
+
+  newPage(side, viewportName) {
+    return this.contexts[side][viewportName].newPage();
+  }
+
+  // Hold new work back while a re-login is in progress
+  async waitWhilePaused() {
+    if (this.reauthentication) await this.reauthentication.catch(() => {});
+  }
+
+  reauthenticate(seenGeneration) {
+    if (seenGeneration !== this.generation) return this.reauthentication || Promise.resolve();
+    if (!this.reauthentication) {
+      console.log('⏸️ Session expired - pausing to log in again...');
+      this.reauthentication = (async () => {
+        for (const [side, env] of Object.entries(this.sides)) {
+          const state = await loadSessions([env], this.config);
+          for (const context of Object.values(this.contexts[side])) {
+            await context.clearCookies();
+            await context.addCookies(state.cookies);
+          }
+        }
+        this.generation++;
+        console.log('▶️ Logged in again - resuming');
+      })().finally(() => { this.reauthentication = null; });
+    }
+    return this.reauthentication;
+  }
+
+  // Run `attempt(number)` up to config.retries times. A session expiry is re-authenticated and retried
+  // once without using up an attempt; an auth failure is final. After the last failed attempt the
+  // result of `onFailure(error)` is returned.
+  async withRetries(label, attempt, onFailure) {
+    let reauthenticated = false;
+    for (let number = 1; number <= this.config.retries; number++) {
+      await this.waitWhilePaused();
+      const generation = this.generation;
+      try {
+        return await attempt(number);
+      } catch (error) {
+        console.error(`❌ Attempt ${number} failed for ${label}: ${error.message}`);
+        if (error instanceof SessionExpiredError && !reauthenticated) {
+          reauthenticated = true;
+          try {
+            await this.reauthenticate(generation);
+            number--;
+            console.log(`🔁 Retrying ${label} with the new session...`);
+            continue;
+          } catch (loginError) {
+            error = loginError;
+          }
+        }
+        if (number === this.config.retries || isAuthError(error)) {
+          console.error(`💥 All ${this.config.retries} attempts failed for ${label}`);
+          return onFailure(error);
+        }
+        console.log(`🔁 Retrying ${label} (attempt ${number + 1}/${this.config.retries})...`);
+      }
+    }
+  }
+
+  close() {
+    return this.browser.close();
+  }
+}
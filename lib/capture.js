@@ -0,0 +1,89 @@
+import fs from "fs-extra";
+import { measureIgnoreRects } from "./masks.js";
+import { measureSections } from "./shift-compare.js";
+import { extractContent } from "./content-diff.js";
+import { assertLoggedIn } from "./login.js";
+import { getRecipeForUrl, applyRecipe } from "./recipes.js";
+import { stabilizePage } from "./stabilize.js";
+import { runAxeAudit } from "./accessibility.js";
+import { installPerformanceObservers, collectPerformance } from "./performance.js";
+import { watchPageErrors } from "./page-errors.js";
+import { extractSeo } from "./seo.js";
+
+// Loading and capturing one page, shared by the capture and compare commands
+
+export const NO_MASKS = { selectors: [], rects: [] };
+
+// File extension of screenshots in the configured format
+export function screenshotExtension(config) {
+  return config.screenshotFormat === "jpeg" ? "jpg" : "png";
+}
+
+function screenshotOptions(config, page, masks) {
+  const options = { fullPage: true, mask: masks.selectors.map(selector => page.locator(selector)) };
+  if (config.screenshotFormat === "jpeg") Object.assign(options, { type: "jpeg", quality: config.jpegQuality });
+  return options;
+}
+
+// Load `urlPath` on `env`, prepare and stabilise the page, measure what the comparison needs and,
+// unless `outputPath` is null (text-only), write the screenshot.
+// Returns { ignoreRects, sections, content, stable, checks } where `checks` holds what the page checks
+// recorded: { accessibility, performance, pageErrors, seo }, each null when switched off.
+export async function captureScreenshot(page, env, urlPath, outputPath, { config, recipes, masks = NO_MASKS }) {
+  const url = `${env.baseUrl}${urlPath}`;
+  const errorWatcher = config.capturePageErrors ? watchPageErrors(page) : null;
+  let network = null;
+  try {
+    if (config.performanceMetrics) network = await installPerformanceObservers(page);
+    await page.goto(url, { waitUntil: "networkidle", timeout: config.timeout });
+    await page.waitForLoadState("domcontentloaded");
+    // Before recipes click or scroll, which would end LCP and add layout shifts
+    const performance = network ? await collectPerformance(page, network) : null;
+
+    // Never capture a login page in place of the content
+    await assertLoggedIn(page, env, config);
+
+    // Consent banners, layout fixes etc. from the recipe file
+    await applyRecipe(page, getRecipeForUrl(recipes, url));
+
+    // Load lazy content and wait until two screenshots in a row are identical
+    const { stable, buffer } = await stabilizePage(page, config, outputPath && screenshotOptions(config, page, masks));
+    if (!stable) console.warn(`⏳ Page did not stabilise within ${config.stabilizeMaxWait}ms: ${url}`);
+
+    // Masked areas and sections of the stable page, in screenshot pixels
+    const ignoreRects = await measureIgnoreRects(page, masks);
+    const sections = config.compareMode === 'sections' ? await measureSections(page, config.sectionSelectors) : [];
+    const content = config.textDiff || config.textOnly ? await extractContent(page) : null;
+    const seo = config.seoMetadata ? await extractSeo(page) : null;
+    const pageErrors = errorWatcher ? errorWatcher.stop() : null;
+    // A failing audit is recorded, it does not fail the capture
+    const accessibility = config.accessibilityAudit
+      ? await runAxeAudit(page).catch(error => {
+        console.warn(`♿ Accessibility audit failed for ${url}: ${error.message}`);
+        return { error: error.message };
+      })
+      : null;
+
+    const checks = { accessibility, performance, pageErrors, seo };
+
+    // Text-only runs extract the content without taking a screenshot
+    if (!outputPath) {
+      console.log(`📝 Content extracted: ${url}`);
+      return { ignoreRects, sections, content, stable, checks };
+    }
+
+    fs.outputFileSync(outputPath, buffer);
+    console.log(`✅ Screenshot captured: ${outputPath}`);
+    return { ignoreRects, sections, content, stable, checks };
+  } catch (error) {
+    if (errorWatcher) errorWatcher.stop();
+    if (network) await network.stop();
+    console.error(`❌ Error capturing screenshot for ${url}:`, error.message);
+    throw error;
+  }
+}
+
+// Sides whose page kept changing until stabilizeMaxWait ran out
+export function unstableSides(devCapture, prodCapture) {
+  return [["dev", devCapture], ["prod", prodCapture]].filter(([, capture]) => capture.stable === false).map(([side]) => side);
+}
@@ -0,0 +1,108 @@
+import fs from "fs-extra";
+import { getResultStatus, countByStatus } from "./results.js";
+import { describeShift } from "./shift-compare.js";
+import { summarizeTextDiff } from "./content-diff.js";
+import { newViolationsAt, summarizeAudit } from "./accessibility.js";
+
+// Machine-readable outputs for pipelines: a JSON results file and a JUnit XML file
+// with one test case per URL and viewport.
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function formatPercent(value) {
+  return value == null ? "n/a" : `${value.toFixed(4)}%`;
+}
+
+export async function writeJSONResults(results, summary, { reportPath, labels }) {
+  const payload = {
+    generatedAt: new Date().toISOString(),
+    left: labels.dev,
+    right: labels.prod,
+    summary: { ...summary, counts: countByStatus(results) },
+    results: results.map(result => ({ status: getResultStatus(result), ...result }))
+  };
+  await fs.outputJson(reportPath, payload, { spaces: 2 });
+  console.log(`🧾 JSON results written: ${reportPath}`);
+}
+
+function renderTestCase(result, labels, a11yFailOn) {
+  const status = getResultStatus(result);
+  const attrs = `classname="visual.${escapeXml(result.viewport || "default")}" name="${escapeXml(result.url)}" time="${(result.duration || 0).toFixed(3)}"`;
+  const images = [
+    result.devPath && `Left image: ${result.devPath}`,
+    result.prodPath && `Right image: ${result.prodPath}`,
+    result.diffPath && `Diff image: ${result.diffPath}`
+  ].filter(Boolean);
+  // [[ATTACHMENT|path]] lines are picked up by the Jenkins JUnit attachments plugin
+  const systemOut = images.length
+    ? `<system-out>${escapeXml([result.diffPath, result.devPath, result.prodPath].filter(Boolean).map(p => `[[ATTACHMENT|${p}]]`).join("\n"))}</system-out>`
+    : "";
+
+  if (status === "failed") {
+    const type = result.authFailure ? "AuthError" : "CaptureError";
+    return `    <testcase ${attrs}>\n      <error message="${escapeXml(result.error)}" type="${type}">${escapeXml(result.error)}</error>\n    </testcase>`;
+  }
+  if (result.baselineMissing) {
+    return `    <testcase ${attrs}>\n      <skipped message="No approved baseline"/>\n      ${systemOut}\n    </testcase>`;
+  }
+  const blocking = newViolationsAt(result.accessibility, a11yFailOn);
+  if (blocking.length && status !== "diff") {
+    const message = `${blocking.length} new accessibility violation(s): ${summarizeAudit(result.accessibility)}`;
+    const details = blocking.map(o => `${o.impact} ${o.rule}: ${o.selector}`).join("\n");
+    return `    <testcase ${attrs}>\n      <failure message="${escapeXml(message)}" type="AccessibilityViolation">${escapeXml(details)}</failure>\n    </testcase>`;
+  }
+  if (status === "warning") {
+    const message = `WARNING: ${result.diffPixels} pixels differ (${formatPercent(result.diffPercent)}), within fail threshold`;
+    return `    <testcase ${attrs}>\n      <system-out>${escapeXml([message, ...images].join("\n"))}</system-out>\n    </testcase>`;
+  }
+  if (status === "diff" && result.textOnly) {
+    const message = summarizeTextDiff(result.textDiff);
+    const details = [message, ...result.textDiff.changes.slice(0, 20).map(c => `${c.type}: "${c.before}" -> "${c.after}"`)].join("\n");
+    return `    <testcase ${attrs}>\n      <failure message="${escapeXml(message)}" type="ContentDifference">${escapeXml(details)}</failure>\n    </testcase>`;
+  }
+  if (status === "diff") {
+    const message = `${result.diffPixels} pixels differ (${formatPercent(result.diffPercent)})`;
+    const details = [
+      `Diff pixels: ${result.diffPixels}`,
+      `Diff percentage: ${formatPercent(result.diffPercent)}`,
+      ...(result.shifts || []).map(shift => describeShift(shift, labels)),
+      ...images
+    ].join("\n");
+    return `    <testcase ${attrs}>\n      <failure message="${escapeXml(message)}" type="VisualDifference">${escapeXml(details)}</failure>\n      ${systemOut}\n    </testcase>`;
+  }
+  return `    <testcase ${attrs}/>`;
+}
+
+export async function writeJUnitReport(results, summary, { reportPath, labels, a11yFailOn = [] }) {
+  const counts = countByStatus(results);
+  const skipped = results.filter(r => r.baselineMissing).length;
+  const a11yFailures = results.filter(r => ["match", "warning"].includes(getResultStatus(r)) && newViolationsAt(r.accessibility, a11yFailOn).length).length;
+  const failures = counts.diff - skipped + a11yFailures;
+  const name = `Visual comparison: ${labels.dev} vs ${labels.prod}`;
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(name)}" tests="${results.length}" failures="${failures}" errors="${counts.failed}" time="${summary.totalDuration.toFixed(3)}">
+  <testsuite name="${escapeXml(name)}" tests="${results.length}" failures="${failures}" errors="${counts.failed}" skipped="${skipped}" time="${summary.totalDuration.toFixed(3)}" timestamp="${new Date().toISOString()}">
+${results.map(result => renderTestCase(result, labels, a11yFailOn)).join("\n")}
+  </testsuite>
+</testsuites>
+`;
+  await fs.outputFile(reportPath, xml);
+  console.log(`🧾 JUnit report written: ${reportPath}`);
+}
+
+// Results whose status is listed in `failOn`, or with new accessibility violations of an impact listed
+// in `a11yFailOn`; the run fails when there are more than `maxFailures`. URLs without an approved baseline
+// have nothing to be compared against yet and never count (JUnit reports them as skipped).
+export function getFailingResults(results, { failOn, maxFailures, a11yFailOn = [] }) {
+  const statuses = failOn.filter(s => s !== "none");
+  const failing = results.filter(r => !r.baselineMissing &&
+    (statuses.includes(getResultStatus(r)) || newViolationsAt(r.accessibility, a11yFailOn).length));
+  return { failing, failed: failing.length > maxFailures };
+}
@@ -0,0 +1,161 @@
+import fs from "fs-extra";
+import { getMasksForUrl } from "./masks.js";
+import { baselineImagePath, getBaselineEntry } from "./baseline.js";
+import { getThresholdsForUrl, evaluateDiff, describeThresholds } from "./thresholds.js";
+import { diffContent, summarizeTextDiff } from "./content-diff.js";
+import { isAuthError } from "./login.js";
+import { HostLimiter } from "./host-limiter.js";
+import { CaptureSession } from "./capture-session.js";
+import { captureScreenshot, screenshotExtension, unstableSides } from "./capture.js";
+import { compareScreenshots } from "./image-compare.js";
+import { runWithConcurrencyLimit, settleAll } from "./concurrency.js";
+import { STATUS_ICONS } from "./results.js";
+import { comparePageChecks } from "./page-checks.js";
+
+// Capture and compare the selected tasks of a run, recording each result in the run manifest
+export async function processTasks(config, recipes, run, pending, viewports) {
+  const viewportsByName = Object.fromEntries(viewports.map(v => [v.name, v]));
+  // Baseline runs never open the right-hand environment
+  const sides = config.baseline ? { dev: config.devEnv } : { dev: config.devEnv, prod: config.prodEnv };
+  const session = await CaptureSession.open(config, sides, viewports);
+  const hostLimiter = new HostLimiter(config, { ignoreError: isAuthError });
+  const ext = screenshotExtension(config);
+
+  // One task per URL and viewport, grouped by URL
+  const tasks = pending.map(({ url: urlPath, viewport: viewportName }) => async () => {
+    const viewport = viewportsByName[viewportName];
+    const label = `${urlPath} [${viewport.name}]`;
+    const taskStartTime = Date.now();
+    const masks = getMasksForUrl(config.masks, urlPath);
+    const thresholds = getThresholdsForUrl(config.thresholds, urlPath);
+    const cleanName = `${urlPath.replace(/\W+/g, '_')}__${viewport.name}`;
+    const paths = {
+      dev: `${config.screenshotDir}/dev/${cleanName}.${ext}`,
+      prod: `${config.screenshotDir}/prod/${cleanName}.${ext}`,
+      diff: `${config.screenshotDir}/diff/${cleanName}_diff.png`
+    };
+    const base = { url: urlPath, viewport: viewport.name, viewportLabel: viewport.label };
+
+    // In baseline mode the right-hand side is the approved screenshot, not a live page
+    const baselineEntry = config.baseline ? getBaselineEntry(config, urlPath, viewport.name) : null;
+    if (config.baseline) paths.prod = baselineImagePath(config, urlPath, viewport.name);
+
+    return session.withRetries(label, async attempt => {
+      // Each environment loads in its own tab of its own context, both at once
+      const tabs = {};
+      for (const side of Object.keys(sides)) tabs[side] = await session.newPage(side, viewport.name);
+      const closeTabs = () => Promise.all(Object.values(tabs).map(tab => tab.close()));
+      const capture = (side, outputPath, sideMasks) => hostLimiter.run(sides[side].baseUrl,
+        () => captureScreenshot(tabs[side], sides[side], urlPath, outputPath, { config, recipes, masks: sideMasks }));
+
+      try {
+        console.log(`\n🔍 Attempt ${attempt} - Processing: ${label}`);
+
+        if (config.textOnly) {
+          const [devContent, prodContent] = await settleAll([capture('dev', null), capture('prod', null)]);
+          const textDiff = diffContent(devContent.content, prodContent.content);
+          const status = textDiff.identical ? 'match' : 'diff';
+          console.log(`${STATUS_ICONS[status]} ${urlPath}: ${summarizeTextDiff(textDiff)}`);
+          return {
+            ...base,
+            textOnly: true,
+            unstable: unstableSides(devContent, prodContent),
+            ...comparePageChecks(devContent.checks, prodContent.checks, label, config),
+            status,
+            match: status === 'match',
+            diffPixels: null,
+            textDiff,
+            devPath: null,
+            prodPath: null,
+            diffPath: null,
+            duration: (Date.now() - taskStartTime) / 1000
+          };
+        }
+
+        const [devCapture, liveProdCapture] = await settleAll([
+          capture('dev', paths.dev, masks),
+          config.baseline ? null : capture('prod', paths.prod, masks)
+        ]);
+
+        if (config.baseline && (!baselineEntry || !fs.existsSync(paths.prod))) {
+          console.log(`🆕 No approved baseline for ${label}`);
+          return {
+            ...base,
+            match: false,
+            baselineMissing: true,
+            diffPixels: null,
+            ...comparePageChecks(devCapture.checks, null, label, config),
+            devIgnoreRects: devCapture.ignoreRects,
+            devSections: devCapture.sections,
+            devPath: paths.dev,
+            prodPath: null,
+            diffPath: null,
+            duration: (Date.now() - taskStartTime) / 1000
+          };
+        }
+
+        const prodCapture = config.baseline
+          ? { ignoreRects: baselineEntry.ignoreRects || [], sections: baselineEntry.sections || [] }
+          : liveProdCapture;
+
+        const { diffPixels, totalPixels, shifts } = await compareScreenshots(paths.dev, paths.prod, paths.diff, {
+          compareMode: config.compareMode,
+          maxRowEdits: config.maxRowEdits,
+          left: devCapture,
+          right: prodCapture
+        });
+        const textDiff = devCapture.content && prodCapture.content ? diffContent(devCapture.content, prodCapture.content) : null;
+
+        const taskDuration = (Date.now() - taskStartTime) / 1000;
+        const diffPercent = (diffPixels / totalPixels) * 100;
+        const status = evaluateDiff(diffPixels, diffPercent, thresholds);
+        console.log(`${STATUS_ICONS[status]} ${label}: ${diffPixels} pixels (${diffPercent.toFixed(3)}%) - ${status}`);
+        console.log(`⏱️ Task completed in ${taskDuration.toFixed(2)}s`);
+
+        return {
+          ...base,
+          status,
+          match: status === 'match',
+          diffPixels,
+          diffPercent,
+          thresholds: describeThresholds(thresholds),
+          ignoredRegions: devCapture.ignoreRects.length + prodCapture.ignoreRects.length,
+          unstable: unstableSides(devCapture, prodCapture),
+          shifts,
+          textDiff,
+          ...comparePageChecks(devCapture.checks, liveProdCapture && liveProdCapture.checks, label, config),
+          devIgnoreRects: devCapture.ignoreRects,
+          devSections: devCapture.sections,
+          devPath: paths.dev,
+          prodPath: paths.prod,
+          diffPath: paths.diff,
+          duration: taskDuration
+        };
+      } finally {
+        await closeTabs();
+      }
+    }, error => ({
+      ...base,
+      match: false,
+      failed: true,
+      authFailure: isAuthError(error),
+      error: error.message,
+      diffPixels: null,
+      devPath: null,
+      prodPath: null,
+      diffPath: null,
+      duration: (Date.now() - taskStartTime) / 1000
+    }));
+  });
+
+  // Record every finished task in the run manifest straight away, so a crash loses nothing
+  try {
+    await runWithConcurrencyLimit(tasks.map(task => async () => {
+      const result = await task();
+      run.record(result);
+      return result;
+    }), config.concurrency);
+  } finally {
+    await session.close();
+  }
+}
@@ -0,0 +1,29 @@
+// Run async task functions with at most `limit` of them in flight; results keep the task order
+export async function runWithConcurrencyLimit(tasks, limit) {
+  const results = [];
+  const executing = [];
+
+  for (const task of tasks) {
+    const p = task().then(result => {
+      executing.splice(executing.indexOf(p), 1);
+      return result;
+    });
+    results.push(p);
+    executing.push(p);
+
+    if (executing.length >= limit) {
+      await Promise.race(executing);
+    }
+  }
+
+  return Promise.all(results);
+}
+
+// Wait for all promises; the first failure is rethrown only once the others have finished,
+// so a sibling page is not closed mid-load
+export async function settleAll(promises) {
+  const outcomes = await Promise.allSettled(promises);
+  const failure = outcomes.find(outcome => outcome.status === "rejected");
+  if (failure) throw failure.reason;
+  return outcomes.map(outcome => outcome.value);
+}
@@ -0,0 +1,305 @@
+import fs from "fs-extra";
+import path from "path";
+import { pathToFileURL } from "url";
+
+export const DEFAULT_CONFIG_FILE = "automation.config.json";
+
+// Built-in defaults, overridden by the config file and then by CLI flags
+export const defaults = {
+  environments: {
+    local: { baseUrl: "http://localhost:3000", login: ["account"] },
+    dev: { baseUrl: "https://dev.recordati-plus.de", login: ["sso", "account"] },
+    stage: { baseUrl: "https://stage.recordati-plus.de", login: ["sso", "account"] },
+    prod: { baseUrl: "https://recordati-plus.de", login: ["account"] }
+  },
+  // Sign-in forms an environment can sit behind, referenced by name from environments.<env>.login.
+  // loggedOutSelector marks a page served to a logged-out user without redirecting to the login URL
+  loginGates: {
+    sso: {
+      checkPath: "/de_DE/overview-page",
+      loginUrlPattern: "sso.omnizia.com",
+      usernameSelector: "input[type='email'], input[name='username'], input[name='email']",
+      nextSelector: null,
+      passwordSelector: "input[type='password']",
+      submitSelector: "button[type='submit'], input[type='submit']",
+      errorSelector: "[role='alert'], .error, .alert-danger",
+      successSelector: null,
+      loggedOutSelector: null
+    },
+    account: {
+      checkPath: "/de_DE/account/signin",
+      loginUrlPattern: "/account/signin",
+      usernameSelector: "input[type='email'], input[name='email']",
+      nextSelector: null,
+      passwordSelector: "input[type='password']",
+      submitSelector: "button[type='submit']",
+      errorSelector: "[role='alert'], .error, .alert-danger",
+      successSelector: null,
+      loggedOutSelector: null
+    }
+  },
+  secretsFile: "secrets.json",
+  recipesFile: "page-recipes.json",
+  left: "stage",
+  right: "prod",
+  input: "urls.xlsx",
+  out: "reports",
+  reportName: "result.pdf",
+  htmlReportName: "result.html",
+  htmlEmbedImages: true,
+  jsonReportName: "results.json",
+  junitReportName: "junit.xml",
+  thresholds: { pass: { pixels: 0 }, fail: { pixels: 0 }, urls: {} },
+  failOn: ["diff", "failed"],
+  maxFailures: 0,
+  screenshotDir: "screenshots",
+  screenshotFormat: "png",
+  jpegQuality: 90,
+  runsDir: "runs",
+  runId: null,
+  resume: null,
+  onlyFailed: null,
+  viewports: [{ name: "desktop", width: 1920, height: 1080 }],
+  masks: { selectors: [], rects: [], urls: {} },
+  compareMode: "pad",
+  sectionSelectors: ["header", "section", "footer"],
+  maxRowEdits: 2000,
+  textDiff: true,
+  textOnly: false,
+  textReportName: "content-diff.xlsx",
+  performanceMetrics: true,
+  capturePageErrors: true,
+  seoMetadata: true,
+  // Per metric: the left side regresses when it is worse than the right by more than every limit set
+  performanceBudgets: {
+    ttfb: { increase: 200, percent: 20 },
+    domContentLoaded: { increase: 500, percent: 20 },
+    load: { increase: 1000, percent: 20 },
+    lcp: { increase: 500, percent: 20 },
+    cls: { increase: 0.05 },
+    tbt: { increase: 200, percent: 25 },
+    requests: { increase: 10, percent: 20 },
+    transferBytes: { increase: 250000, percent: 20 }
+  },
+  accessibilityAudit: false,
+  // Impacts of new accessibility violations that fail the run, e.g. ["serious", "critical"]
+  a11yFailOn: [],
+  linksInput: "input_urls.xlsx",
+  linksOut: "list_url",
+  checkLinks: false,
+  linkDiff: false,
+  linkCheckTimeout: 15000,
+  maxRedirects: 10,
+  crawlDepth: 3,
+  crawlMaxPages: 1000,
+  crawlInclude: [],
+  crawlExclude: [],
+  crawlLocales: [],
+  crawlOut: "crawled-urls.xlsx",
+  baseline: false,
+  baselineDir: "baselines",
+  baselineName: "default",
+  sessionStoreDir: "sessions",
+  sessionMaxAgeHours: 8,
+  concurrency: 5,
+  requestsPerSecond: 0,
+  adaptiveConcurrency: true,
+  // Per host pattern: { "concurrency": n, "requestsPerSecond": n, "adaptive": bool }
+  hostLimits: {},
+  retries: 3,
+  timeout: 60000,
+  disableAnimations: true,
+  scrollStepDelay: 150,
+  maxScrollSteps: 100,
+  imageTimeout: 10000,
+  stabilizeInterval: 500,
+  stabilizeMaxWait: 10000,
+  loginTimeout: 120000,
+  headless: false
+};
+
+const COMPARE_MODES = ["pad", "bands", "sections"];
+const SCREENSHOT_FORMATS = ["png", "jpeg"];
+
+const aliases = {
+  i: "input",
+  o: "out",
+  c: "config",
+  h: "help"
+};
+
+// Options every browser-driving command accepts, for the commands' --help text
+export const sharedOptionsHelp = `
+Shared options:
+  --config, -c <file>     Config file (JSON or JS), default ${DEFAULT_CONFIG_FILE}
+  --left <env|url>        Environment profile or base URL to compare (default ${defaults.left})
+  --right <env|url>       Environment profile or base URL to compare against (default ${defaults.right})
+  --input, -i <file>      Excel file with the URLs to process (default ${defaults.input})
+  --viewports <list>      Comma-separated viewports: device names ("iPhone 13") or WIDTHxHEIGHT
+  --screenshot-format <f> png (default) or jpeg, with --jpeg-quality <1-100> (default ${defaults.jpegQuality})
+  --session-store-dir <dir>  Where logged-in sessions are saved, one file per host (default ${defaults.sessionStoreDir})
+  --session-max-age-hours <n>  Age after which a saved session is not reused (default ${defaults.sessionMaxAgeHours})
+  --concurrency <n>       Number of URLs processed in parallel, and page loads per host (default ${defaults.concurrency})
+  --requests-per-second <n>  Page loads started per second and host, 0 for no limit (default ${defaults.requestsPerSecond})
+  --no-adaptive-concurrency  Keep the per-host page loads fixed instead of backing off on errors
+  --retries <n>           Attempts per URL before giving up (default ${defaults.retries})
+  --timeout <ms>          Navigation timeout (default ${defaults.timeout})
+  --no-disable-animations Leave CSS animations, transitions and the caret running while capturing
+  --scroll-step-delay <ms>  Pause after each viewport-high scroll step (default ${defaults.scrollStepDelay})
+  --image-timeout <ms>    Longest wait for images and web fonts to load (default ${defaults.imageTimeout})
+  --stabilize-interval <ms>  Pause between the screenshots compared for stability (default ${defaults.stabilizeInterval})
+  --stabilize-max-wait <ms>  Give up waiting for two identical screenshots after this long (default ${defaults.stabilizeMaxWait})
+  --login-timeout <ms>    Time allowed for completing a login (default ${defaults.loginTimeout})
+  --secrets-file <file>   JSON file with login credentials (default ${defaults.secretsFile})
+  --recipes-file <file>   Page-preparation steps applied before capturing (default ${defaults.recipesFile})
+  --headless, --no-headless
+  --help, -h              Show this help
+
+Any other setting in the config file can be overridden as --kebab-case-name <value>.
+`;
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+// Coerce a CLI string to the type of the existing setting
+function coerce(key, value, current) {
+  if (Array.isArray(current) && typeof value === "string") {
+    return value.split(",").map(v => v.trim()).filter(Boolean);
+  }
+  if (typeof current === "number") {
+    const option = `--${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+    // A bare `--max-failures` would otherwise read as 1 and `--no-max-failures` as 0
+    if (typeof value !== "string" || !value.trim()) throw new Error(`${option} needs a number`);
+    const num = Number(value);
+    if (Number.isNaN(num)) throw new Error(`${option} expects a number, got "${value}"`);
+    return num;
+  }
+  if (typeof current === "boolean" || typeof value === "boolean") {
+    return value === true || value === "true" || value === "1";
+  }
+  return value;
+}
+
+function isBooleanFlag(name) {
+  return name === "help" || typeof defaults[toCamelCase(name)] === "boolean";
+}
+
+function isNumber(arg) {
+  return /^-?\d*\.?\d+$/.test(arg);
+}
+
+// Parse `--key value`, `--key=value`, `--flag` and `--no-flag` into an object. Boolean settings never
+// take the next argument as their value (it is positional); they accept `--flag=false` instead. Other
+// options take the next argument unless it is another option; negative numbers such as `-1` are values.
+export function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("-")) {
+      (args._ ||= []).push(arg);
+      continue;
+    }
+
+    let [name, value] = arg.replace(/^--?/, "").split(/=(.*)/s);
+    name = aliases[name] || name;
+
+    if (value === undefined) {
+      if (name.startsWith("no-")) {
+        name = name.slice(3);
+        value = false;
+      } else if (!isBooleanFlag(name) && argv[i + 1] !== undefined && (!argv[i + 1].startsWith("-") || isNumber(argv[i + 1]))) {
+        value = argv[++i];
+      } else {
+        value = true;
+      }
+    }
+    args[toCamelCase(name)] = value;
+  }
+  return args;
+}
+
+async function readConfigFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".json") return fs.readJson(filePath);
+  const mod = await import(pathToFileURL(path.resolve(filePath)).href);
+  return mod.default || mod;
+}
+
+// Resolve a profile name ("stage") or a plain base URL into { name, baseUrl }
+export function resolveEnvironment(config, nameOrUrl) {
+  const profile = config.environments[nameOrUrl];
+  if (profile) {
+    const baseUrl = typeof profile === "string" ? profile : profile.baseUrl;
+    return { ...(typeof profile === "object" ? profile : {}), name: nameOrUrl, baseUrl: baseUrl.replace(/\/$/, "") };
+  }
+  if (/^https?:\/\//.test(nameOrUrl)) {
+    return { name: nameOrUrl, baseUrl: nameOrUrl.replace(/\/$/, "") };
+  }
+  const known = Object.keys(config.environments).join(", ");
+  throw new Error(`Unknown environment "${nameOrUrl}" (known: ${known})`);
+}
+
+// Environment profile serving an absolute URL, or a bare environment for its origin
+export function environmentForUrl(config, url) {
+  const { origin } = new URL(url);
+  const name = Object.keys(config.environments).find(key => resolveEnvironment(config, key).baseUrl === origin);
+  return resolveEnvironment(config, name || origin);
+}
+
+// Origins of every configured environment plus the two being compared
+export function environmentOrigins(config) {
+  const bases = [...Object.keys(config.environments).map(name => resolveEnvironment(config, name).baseUrl), config.devBase, config.prodBase];
+  return new Set(bases.filter(Boolean).map(base => new URL(base).origin));
+}
+
+// Matches those origins in text, e.g. to compare URLs of two environments as paths; other hosts do not match
+export function environmentOriginPattern(config) {
+  const origins = [...environmentOrigins(config)].map(origin => origin.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&"));
+  return new RegExp(`(?:${origins.join("|")})(?![\\w.:-])`, "gi");
+}
+
+export async function loadConfig(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+
+  const configFile = args.config || DEFAULT_CONFIG_FILE;
+  let fileConfig = {};
+  if (fs.existsSync(configFile)) {
+    fileConfig = await readConfigFile(configFile);
+  } else if (args.config) {
+    throw new Error(`Config file not found: ${configFile}`);
+  }
+
+  const config = {
+    ...defaults,
+    ...fileConfig,
+    environments: { ...defaults.environments, ...fileConfig.environments },
+    loginGates: { ...defaults.loginGates, ...fileConfig.loginGates },
+    performanceBudgets: { ...defaults.performanceBudgets, ...fileConfig.performanceBudgets }
+  };
+
+  for (const [key, value] of Object.entries(args)) {
+    if (key === "_" || key === "config") continue;
+    config[key] = coerce(key, value, config[key]);
+  }
+
+  if (!SCREENSHOT_FORMATS.includes(config.screenshotFormat)) {
+    throw new Error(`Unknown screenshot format "${config.screenshotFormat}" (use ${SCREENSHOT_FORMATS.join(", ")})`);
+  }
+  if (!COMPARE_MODES.includes(config.compareMode)) {
+    throw new Error(`Unknown compare mode "${config.compareMode}" (use ${COMPARE_MODES.join(", ")})`);
+  }
+
+  const left = resolveEnvironment(config, config.left);
+  const right = resolveEnvironment(config, config.right);
+
+  return {
+    ...config,
+    devEnv: left,
+    prodEnv: right,
+    devBase: left.baseUrl,
+    prodBase: right.baseUrl,
+    excelFile: config.input,
+    reportPath: path.join(config.out, config.reportName)
+  };
+}
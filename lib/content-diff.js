@@ -0,0 +1,139 @@
+import XLSX from "xlsx";
+import fs from "fs-extra";
+import path from "path";
+import { matchSequences, internSequences } from "./sequence-diff.js";
+
+// Textual content comparison: the visible text and heading outline of both pages,
+// diffed word by word.
+
+const CONTEXT_WORDS = 6;
+const MAX_CELL_LENGTH = 32000; // Excel rejects cells over 32767 characters
+
+// Visible text (innerText skips hidden elements) and the outline of visible headings
+export async function extractContent(page) {
+  return page.evaluate(() => {
+    const visible = el => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+    return {
+      title: document.title,
+      text: document.body ? document.body.innerText : "",
+      headings: [...document.querySelectorAll("h1, h2, h3, h4, h5, h6")]
+        .filter(visible)
+        .map(h => ({ level: Number(h.tagName[1]), text: h.innerText.replace(/\s+/g, " ").trim() }))
+        .filter(h => h.text)
+    };
+  });
+}
+
+function words(text) {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+// Group unmatched runs between matched pairs into added / removed / changed hunks
+function toHunks(pairs, before, after) {
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of [...pairs, [before.length, after.length]]) {
+    if (pi > i || pj > j) {
+      const removed = before.slice(i, pi).join(" ");
+      const added = after.slice(j, pj).join(" ");
+      changes.push({
+        type: removed && added ? "changed" : removed ? "removed" : "added",
+        before: removed,
+        after: added,
+        context: before.slice(Math.max(0, i - CONTEXT_WORDS), i).join(" ")
+      });
+    }
+    i = pi + 1;
+    j = pj + 1;
+  }
+  return changes;
+}
+
+function diffWords(beforeText, afterText, maxEdits) {
+  const before = words(beforeText);
+  const after = words(afterText);
+  const [a, b] = internSequences(before, after);
+  const pairs = matchSequences(a, b, maxEdits);
+  // Too many edits to align: report the whole text as changed
+  if (!pairs) return [{ type: "changed", before: before.join(" "), after: after.join(" "), context: "" }];
+  return toHunks(pairs, before, after);
+}
+
+function diffHeadings(beforeHeadings, afterHeadings) {
+  const label = h => `h${h.level}: ${h.text}`;
+  const before = beforeHeadings.map(label);
+  const after = afterHeadings.map(label);
+  const [a, b] = internSequences(before, after);
+  const pairs = matchSequences(a, b, before.length + after.length) || [];
+  const matchedA = new Set(pairs.map(([i]) => i));
+  const matchedB = new Set(pairs.map(([, j]) => j));
+  return {
+    removed: before.filter((_, i) => !matchedA.has(i)),
+    added: after.filter((_, j) => !matchedB.has(j))
+  };
+}
+
+// Diff of the left (dev) content against the right (prod) content: "added" is text only on the left
+export function diffContent(devContent, prodContent, { maxEdits = 5000 } = {}) {
+  const changes = diffWords(prodContent.text, devContent.text, maxEdits);
+  const headings = diffHeadings(prodContent.headings, devContent.headings);
+  const count = type => changes.filter(c => c.type === type).length;
+  return {
+    identical: !changes.length && !headings.added.length && !headings.removed.length,
+    added: count("added"),
+    removed: count("removed"),
+    changed: count("changed"),
+    titleChanged: devContent.title !== prodContent.title,
+    headings,
+    changes
+  };
+}
+
+export function summarizeTextDiff(textDiff) {
+  if (textDiff.identical) return "Text identical";
+  const parts = [`${textDiff.added} added`, `${textDiff.removed} removed`, `${textDiff.changed} changed`];
+  if (textDiff.headings.added.length || textDiff.headings.removed.length) {
+    parts.push(`headings +${textDiff.headings.added.length}/-${textDiff.headings.removed.length}`);
+  }
+  return `Text: ${parts.join(", ")}`;
+}
+
+function cell(value) {
+  return value.length > MAX_CELL_LENGTH ? `${value.slice(0, MAX_CELL_LENGTH)}…` : value;
+}
+
+// One summary row per URL and viewport plus one row per change
+export function writeContentDiffWorkbook(results, reportPath) {
+  const withText = results.filter(r => r.textDiff);
+  const summaryRows = withText.map(r => ({
+    url: r.url,
+    viewport: r.viewport,
+    identical: r.textDiff.identical ? "yes" : "no",
+    added: r.textDiff.added,
+    removed: r.textDiff.removed,
+    changed: r.textDiff.changed,
+    headingsAdded: r.textDiff.headings.added.join("\n"),
+    headingsRemoved: r.textDiff.headings.removed.join("\n")
+  }));
+  const changeRows = withText.flatMap(r => r.textDiff.changes.map(c => ({
+    url: r.url,
+    viewport: r.viewport,
+    type: c.type,
+    context: cell(c.context),
+    before: cell(c.before),
+    after: cell(c.after)
+  })));
+
+  const workbook = XLSX.utils.book_new();
+  const summarySheet = XLSX.utils.json_to_sheet(summaryRows);
+  summarySheet['!cols'] = [{ wch: 50 }, { wch: 12 }, { wch: 10 }, { wch: 8 }, { wch: 8 }, { wch: 8 }, { wch: 40 }, { wch: 40 }];
+  const changeSheet = XLSX.utils.json_to_sheet(changeRows);
+  changeSheet['!cols'] = [{ wch: 50 }, { wch: 12 }, { wch: 10 }, { wch: 40 }, { wch: 50 }, { wch: 50 }];
+  XLSX.utils.book_append_sheet(workbook, summarySheet, "Summary");
+  XLSX.utils.book_append_sheet(workbook, changeSheet, "Changes");
+
+  fs.ensureDirSync(path.dirname(reportPath));
+  XLSX.writeFile(workbook, reportPath);
+  console.log(`📝 Content diff written: ${reportPath}`);
+}
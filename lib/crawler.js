@@ -0,0 +1,140 @@
+import xlsx from "xlsx";
+import fs from "fs-extra";
+import path from "path";
+import { environmentForUrl } from "./config.js";
+import { loadSessions } from "./session-store.js";
+import { launchBrowser } from "./browser.js";
+import { HostLimiter } from "./host-limiter.js";
+import { runWithConcurrencyLimit } from "./concurrency.js";
+import { matchesUrlPattern } from "./url-patterns.js";
+
+// Site crawler: breadth-first from seed URLs through the links of every rendered page, staying on the
+// seeds' hosts and inside the configured path scope, logged in with the saved sessions.
+
+// Query parameters that only track the visit and never change the page
+const TRACKING_PARAM = /^(utm_\w+|gclid|fbclid|mc_cid|mc_eid)$/i;
+// Links to files rather than pages
+const FILE_LINK = /\.(pdf|zip|jpe?g|png|gif|svg|webp|avif|mp4|mp3|docx?|xlsx?|pptx?|ics|vcf)$/i;
+
+// Same page, same string: no fragment, tracking parameters or trailing slash, sorted query
+export function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = "";
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAM.test(key)) parsed.searchParams.delete(key);
+  }
+  parsed.searchParams.sort();
+  if (parsed.pathname.length > 1) parsed.pathname = parsed.pathname.replace(/\/+$/, "");
+  return parsed.href;
+}
+
+// Whether a crawl with these settings should visit `url`
+export function inCrawlScope(url, hosts, { crawlInclude, crawlExclude, crawlLocales }) {
+  const { protocol, hostname, pathname } = new URL(url);
+  if (!/^https?:$/.test(protocol) || !hosts.has(hostname) || FILE_LINK.test(pathname)) return false;
+  if (crawlLocales.length && !crawlLocales.some(locale => pathname === `/${locale}` || pathname.startsWith(`/${locale}/`))) return false;
+  if (crawlInclude.length && !crawlInclude.some(pattern => matchesUrlPattern(pattern, pathname))) return false;
+  return !crawlExclude.some(pattern => matchesUrlPattern(pattern, pathname));
+}
+
+// Final URL and every link of one rendered page
+async function visit(context, url, config) {
+  const page = await context.newPage();
+  try {
+    await page.goto(url, { waitUntil: "networkidle", timeout: config.timeout });
+    const links = await page.evaluate(() => Array.from(document.querySelectorAll("a[href]"), a => a.href));
+    return { finalUrl: page.url(), links };
+  } finally {
+    await page.close();
+  }
+}
+
+// Pages reachable from `seeds` within config.crawlDepth link hops, in crawl order:
+// { pages: [{ url, depth, foundOn }], failed: [{ url, foundOn, error }] }
+export async function crawl(seeds, config) {
+  const hosts = new Set(seeds.map(seed => new URL(seed).hostname));
+  const environments = [...new Map(seeds.map(seed => {
+    const env = environmentForUrl(config, seed);
+    return [env.baseUrl, env];
+  })).values()];
+  const storageState = await loadSessions(environments, config);
+
+  const browser = await launchBrowser(config);
+  const context = await browser.newContext({ storageState });
+  const hostLimiter = new HostLimiter(config);
+  const seen = new Set();
+  const pages = [];
+  const failed = [];
+
+  try {
+    // Seeds are always visited, even outside the include/exclude/locale scope
+    let level = [];
+    for (const url of seeds.map(normalizeUrl)) {
+      if (!seen.has(url)) level.push({ url, foundOn: null });
+      seen.add(url);
+    }
+
+    for (let depth = 0; depth <= config.crawlDepth && level.length; depth++) {
+      const room = config.crawlMaxPages - pages.length;
+      if (room <= 0) break;
+      level = level.slice(0, room);
+      console.log(`\n🕸️ Depth ${depth}: ${level.length} page(s)`);
+
+      const visits = await runWithConcurrencyLimit(level.map(entry => async () => {
+        try {
+          return { entry, ...(await hostLimiter.run(entry.url, () => visit(context, entry.url, config))) };
+        } catch (error) {
+          console.warn(`⚠️ ${entry.url}: ${error.message}`);
+          failed.push({ ...entry, error: error.message });
+          return null;
+        }
+      }), config.concurrency);
+
+      const next = [];
+      for (const result of visits.filter(Boolean)) {
+        // A redirect to a page already found, or out of scope, is not listed twice
+        const finalUrl = normalizeUrl(result.finalUrl);
+        if (finalUrl !== result.entry.url) {
+          if (seen.has(finalUrl) || !inCrawlScope(finalUrl, hosts, config)) continue;
+          seen.add(finalUrl);
+        }
+        pages.push({ url: finalUrl, depth, foundOn: result.entry.foundOn });
+        console.log(`✅ ${finalUrl} (${result.links.length} links)`);
+
+        for (const link of result.links) {
+          let url;
+          try {
+            url = normalizeUrl(link);
+          } catch {
+            continue;
+          }
+          if (seen.has(url) || !inCrawlScope(url, hosts, config)) continue;
+          seen.add(url);
+          next.push({ url, foundOn: finalUrl });
+        }
+      }
+      level = next;
+    }
+  } finally {
+    await context.close();
+    await browser.close();
+  }
+
+  return { pages, failed };
+}
+
+// The crawled URLs as a URL list in the sitemap-export layout of urls.xlsx, readable by every command
+export function writeUrlList(pages, outputFile) {
+  const rows = pages.map(page => ({
+    "URL location": page.url,
+    "Last modification date": "",
+    "Change frequency": "",
+    Priority: ""
+  }));
+  const workbook = xlsx.utils.book_new();
+  const worksheet = xlsx.utils.json_to_sheet(rows, { header: ["URL location", "Last modification date", "Change frequency", "Priority"] });
+  worksheet["!cols"] = [{ wch: 90 }, { wch: 22 }, { wch: 18 }, { wch: 10 }];
+  xlsx.utils.book_append_sheet(workbook, worksheet, "Sheet1");
+  fs.ensureDirSync(path.dirname(outputFile));
+  xlsx.writeFile(workbook, outputFile);
+}
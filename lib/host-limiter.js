@@ -0,0 +1,102 @@
+import { matchesUrlPattern } from "./url-patterns.js";
+
+// Per-host throttling of page loads. Every host gets its own number of parallel page loads and an
+// optional minimum spacing between them (requestsPerSecond), both configurable per host pattern in
+// config.hostLimits. With adaptiveConcurrency the parallel limit halves when too many recent loads
+// failed or timed out and grows back by one after a run of clean loads.
+
+const WINDOW = 10;
+const ERROR_RATE = 0.2;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class HostQueue {
+  constructor(host, { concurrency, requestsPerSecond, adaptive }) {
+    this.host = host;
+    this.max = concurrency;
+    this.limit = concurrency;
+    this.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.adaptive = adaptive;
+    this.active = 0;
+    this.waiting = [];
+    this.nextStart = 0;
+    this.outcomes = [];
+  }
+
+  async acquire() {
+    while (this.active >= this.limit) await new Promise(resolve => this.waiting.push(resolve));
+    this.active++;
+    if (this.interval) {
+      const now = Date.now();
+      const start = Math.max(now, this.nextStart);
+      this.nextStart = start + this.interval;
+      if (start > now) await sleep(start - now);
+    }
+  }
+
+  release(ok) {
+    this.active--;
+    if (ok !== null && this.adaptive) this.adapt(ok);
+    this.waiting.splice(0, Math.max(0, this.limit - this.active)).forEach(resolve => resolve());
+  }
+
+  adapt(ok) {
+    this.outcomes.push(ok);
+    if (this.outcomes.length > WINDOW) this.outcomes.shift();
+    const errors = this.outcomes.filter(outcome => !outcome).length;
+
+    if (!ok && errors / this.outcomes.length >= ERROR_RATE && this.limit > 1) {
+      this.limit = Math.max(1, Math.floor(this.limit / 2));
+      this.outcomes = [];
+      console.log(`🐢 ${this.host}: errors piling up - down to ${this.limit} parallel page load(s)`);
+    } else if (ok && !errors && this.outcomes.length === WINDOW && this.limit < this.max) {
+      this.limit++;
+      this.outcomes = [];
+      console.log(`🐇 ${this.host}: back up to ${this.limit} parallel page load(s)`);
+    }
+  }
+}
+
+export class HostLimiter {
+  // `ignoreError(error)` marks failures that say nothing about the host's load, e.g. expired sessions
+  constructor(config, { ignoreError = () => false } = {}) {
+    this.config = config;
+    this.ignoreError = ignoreError;
+    this.queues = new Map();
+  }
+
+  settingsFor(host) {
+    const limits = Object.entries(this.config.hostLimits)
+      .filter(([pattern]) => matchesUrlPattern(pattern, host))
+      .map(([, settings]) => settings);
+    return {
+      concurrency: this.config.concurrency,
+      requestsPerSecond: this.config.requestsPerSecond,
+      adaptive: this.config.adaptiveConcurrency,
+      ...Object.assign({}, ...limits)
+    };
+  }
+
+  queueFor(url) {
+    const { host } = new URL(url);
+    if (!this.queues.has(host)) this.queues.set(host, new HostQueue(host, this.settingsFor(host)));
+    return this.queues.get(host);
+  }
+
+  // Run a page load for `url` once its host has a free slot
+  async run(url, fn) {
+    const queue = this.queueFor(url);
+    await queue.acquire();
+    let ok = false;
+    try {
+      const result = await fn();
+      ok = true;
+      return result;
+    } catch (error) {
+      ok = this.ignoreError(error) ? null : false;
+      throw error;
+    } finally {
+      queue.release(ok);
+    }
+  }
+}
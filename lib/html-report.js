@@ -0,0 +1,347 @@
+import fs from "fs-extra";
+import path from "path";
+import { getResultStatus, countByStatus } from "./results.js";
+import { describeShift } from "./shift-compare.js";
+import { summarizeTextDiff } from "./content-diff.js";
+import { summarizeAudit, describeTotals } from "./accessibility.js";
+import { METRICS, formatMetric } from "./performance.js";
+import { summarizePageErrors, describeError } from "./page-errors.js";
+
+// Self-contained HTML report built from the same result objects as the PDF report.
+// Images are inlined as data URIs by default so the file can be shared and opened offline;
+// with embedImages: false they are linked relative to the report instead. Either way each image is
+// written once, into a script after its result; the views of the result read it from there.
+
+const MIME_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".webp": "image/webp" };
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function imageSource(imgPath, reportDir, embedImages) {
+  if (!imgPath || !fs.existsSync(imgPath)) return null;
+  if (!embedImages) return path.relative(reportDir, imgPath).split(path.sep).join("/");
+  const mime = MIME_TYPES[path.extname(imgPath).toLowerCase()] || "application/octet-stream";
+  return `data:${mime};base64,${fs.readFileSync(imgPath).toString("base64")}`;
+}
+
+function statusText(result) {
+  if (result.failed) return `${result.authFailure ? "Auth failure" : "Capture failed"}: ${result.error}`;
+  if (result.baselineMissing) return "No approved baseline yet";
+  if (result.textOnly) return summarizeTextDiff(result.textDiff);
+  if (result.diffPixels === 0) return "No visual difference";
+  const text = `${result.diffPixels} pixels differ (${result.diffPercent.toFixed(3)}%)`;
+  return result.status === "match" ? `${text}, within tolerance` : text;
+}
+
+function renderTextDiff(textDiff) {
+  if (!textDiff) return "";
+  if (textDiff.identical) return `<p class="note">📝 Text identical</p>`;
+  const headings = [
+    ...textDiff.headings.removed.map(h => `<li class="removed">Heading removed: ${escapeHtml(h)}</li>`),
+    ...textDiff.headings.added.map(h => `<li class="added">Heading added: ${escapeHtml(h)}</li>`)
+  ];
+  const changes = textDiff.changes.map(c => `
+        <li class="${c.type}"><span class="context">…${escapeHtml(c.context)}</span>
+          ${c.before ? `<del>${escapeHtml(c.before)}</del>` : ""}${c.after ? `<ins>${escapeHtml(c.after)}</ins>` : ""}</li>`);
+  return `
+      <details class="text-diff">
+        <summary>📝 ${escapeHtml(summarizeTextDiff(textDiff))}</summary>
+        <ul>${headings.join("")}${changes.join("")}</ul>
+      </details>`;
+}
+
+function renderAccessibility(accessibility, labels) {
+  if (!accessibility) return "";
+  if (accessibility.error) return `<p class="a11y note">♿ ${escapeHtml(summarizeAudit(accessibility))}</p>`;
+  const item = (o, state) => `<li class="${state}"><strong>${escapeHtml(o.impact)}</strong> ${escapeHtml(o.rule)}: ${escapeHtml(o.description)} <code>${escapeHtml(o.selector)}</code></li>`;
+  return `
+      <details class="a11y">
+        <summary>♿ ${escapeHtml(summarizeAudit(accessibility))}</summary>
+        ${accessibility.totals.prod ? `<p class="note">${escapeHtml(labels.prod)}: ${escapeHtml(describeTotals(accessibility.totals.prod))}</p>` : ""}
+        <ul>${accessibility.new.map(o => item(o, "added")).join("")}${accessibility.fixed.map(o => item(o, "removed")).join("")}</ul>
+      </details>`;
+}
+
+function renderPerformance(performance, labels) {
+  if (!performance) return "";
+  const regressed = new Set(performance.regressions.map(r => r.metric));
+  const cells = side => Object.keys(METRICS).map(metric =>
+    `<td${side === "dev" && regressed.has(metric) ? ' class="regressed"' : ""}>${escapeHtml(formatMetric(metric, performance[side][metric]))}</td>`).join("");
+  return `
+      <table class="perf">
+        <tr><th></th>${Object.values(METRICS).map(m => `<th>${m.label}</th>`).join("")}</tr>
+        <tr><th>${escapeHtml(labels.dev)}</th>${cells("dev")}</tr>
+        ${performance.prod ? `<tr><th>${escapeHtml(labels.prod)}</th>${cells("prod")}</tr>` : ""}
+      </table>`;
+}
+
+function renderPageErrors(pageErrors, labels) {
+  if (!pageErrors || !(pageErrors.dev.length || pageErrors.prod?.length)) return "";
+  const list = (entries, label) => entries.length
+    ? `<p class="note">${escapeHtml(label)}</p><ul>${entries.map(e => `<li class="${e.type}">${escapeHtml(describeError(e))}</li>`).join("")}</ul>`
+    : "";
+  const sections = pageErrors.prod
+    ? list(pageErrors.new, `New on ${labels.dev}`) + list(pageErrors.resolved, `Only on ${labels.prod}`)
+    : list(pageErrors.dev, labels.dev);
+  return `
+      <details class="page-errors"${pageErrors.new.some(e => e.type !== "warning") ? " open" : ""}>
+        <summary>🐞 ${escapeHtml(summarizePageErrors(pageErrors, labels))}</summary>
+        ${sections}
+      </details>`;
+}
+
+function renderSeo(seo, labels) {
+  if (!seo || !seo.changes.length) return "";
+  const value = text => text == null ? '<span class="note">missing</span>' : escapeHtml(text);
+  return `
+      <details class="seo">
+        <summary>🔎 ${seo.changes.length} SEO field(s) missing or changed</summary>
+        <table>
+          <tr><th>Field</th><th>${escapeHtml(labels.dev)}</th><th>${escapeHtml(labels.prod)}</th></tr>
+          ${seo.changes.map(c => `<tr class="${c.change}"><td>${escapeHtml(c.field)}</td><td>${value(c.dev)}</td><td>${value(c.prod)}</td></tr>`).join("")}
+        </table>
+      </details>`;
+}
+
+// Site-wide SEO problems of the left side, above the results
+function renderSeoSummary(seo, labels) {
+  if (!seo || !(seo.duplicateTitles.length || seo.missingCanonical.length)) return "";
+  return `
+    <section class="seo-summary">
+      <h2>🔎 SEO on ${escapeHtml(labels.dev)}</h2>
+      ${seo.duplicateTitles.length ? `<details><summary>${seo.duplicateTitles.length} title(s) used by more than one URL</summary><ul>${seo.duplicateTitles.map(d => `<li><strong>${escapeHtml(d.title)}</strong>: ${d.urls.map(escapeHtml).join(", ")}</li>`).join("")}</ul></details>` : ""}
+      ${seo.missingCanonical.length ? `<details><summary>${seo.missingCanonical.length} URL(s) without canonical link</summary><ul>${seo.missingCanonical.map(url => `<li>${escapeHtml(url)}</li>`).join("")}</ul></details>` : ""}
+    </section>`;
+}
+
+// `images` holds the sources of the result's images by side ("dev", "prod", "diff")
+function renderResult(result, index, labels, images) {
+  const status = getResultStatus(result);
+  const figure = (side, label, extra = "") => images[side]
+    ? `<figure><figcaption>${escapeHtml(label)}</figcaption><img data-image="${side}" alt="${escapeHtml(label)}" ${extra}></figure>`
+    : `<figure class="missing"><figcaption>${escapeHtml(label)}</figcaption><p>No image</p></figure>`;
+
+  const views = result.textOnly ? "" : images.dev && images.prod ? `
+      <div class="tabs">
+        <button class="tab active" data-view="side">Side by side</button>
+        <button class="tab" data-view="overlay">Onion skin</button>
+        <button class="tab" data-view="slider">Slider</button>
+      </div>
+      <div class="view side active">
+        ${figure("dev", labels.dev)}${figure("prod", labels.prod)}${figure("diff", "Diff", 'class="zoomable" title="Click to zoom"')}
+      </div>
+      <div class="view overlay">
+        <input type="range" min="0" max="100" value="50" class="opacity" aria-label="Opacity of ${escapeHtml(labels.dev)}">
+        <div class="stack"><img data-image="prod" alt="${escapeHtml(labels.prod)}"><img data-image="dev" class="top" style="opacity:0.5" alt="${escapeHtml(labels.dev)}"></div>
+      </div>
+      <div class="view slider">
+        <input type="range" min="0" max="100" value="50" class="reveal" aria-label="Split position">
+        <div class="stack"><img data-image="prod" alt="${escapeHtml(labels.prod)}"><img data-image="dev" class="top" style="clip-path:inset(0 50% 0 0)" alt="${escapeHtml(labels.dev)}"></div>
+        <div class="legend"><span>◀ ${escapeHtml(labels.dev)}</span><span>${escapeHtml(labels.prod)} ▶</span></div>
+      </div>`
+    : `<div class="view side active">${figure("dev", labels.dev)}${figure("prod", labels.prod)}</div>`;
+
+  return `
+    <section class="result ${status}" data-status="${status}" data-diff="${result.diffPixels ?? -1}" data-index="${index}">
+      <header>
+        <h2>${escapeHtml(result.url)}</h2>
+        ${result.viewportLabel ? `<span class="viewport">${escapeHtml(result.viewportLabel)}</span>` : ""}
+        <span class="badge ${status}">${escapeHtml(statusText(result))}</span>
+        ${result.ignoredRegions ? `<span class="note">${result.ignoredRegions} masked region(s) ignored</span>` : ""}
+        ${result.unstable && result.unstable.length ? `<span class="note">⏳ never stabilised on ${escapeHtml(result.unstable.map(side => labels[side]).join(" and "))}</span>` : ""}
+      </header>
+      ${result.shifts && result.shifts.length ? `<ul class="shifts">${result.shifts.map(s => `<li>${escapeHtml(describeShift(s, labels))}</li>`).join("")}</ul>` : ""}
+      ${renderTextDiff(result.textDiff)}
+      ${renderPerformance(result.performance, labels)}
+      ${renderPageErrors(result.pageErrors, labels)}
+      ${renderAccessibility(result.accessibility, labels)}
+      ${renderSeo(result.seo, labels)}
+      ${views}
+    </section>`;
+}
+
+const styles = `
+  body { font-family: system-ui, sans-serif; margin: 0; background: #f4f5f7; color: #222; }
+  .top-bar { position: sticky; top: 0; z-index: 2; background: #fff; border-bottom: 1px solid #ddd; padding: 12px 24px; display: flex; gap: 16px; align-items: center; flex-wrap: wrap; }
+  .top-bar h1 { font-size: 18px; margin: 0 16px 0 0; }
+  .summary span { margin-right: 12px; }
+  button { cursor: pointer; border: 1px solid #ccc; background: #fff; border-radius: 4px; padding: 4px 10px; }
+  button.active { background: #222; color: #fff; border-color: #222; }
+  main { padding: 24px; }
+  .result { background: #fff; border-radius: 6px; margin-bottom: 24px; padding: 16px; border-left: 6px solid #ccc; }
+  .result.match { border-left-color: #2e9d4f; }
+  .result.warning { border-left-color: #f29900; }
+  .result.diff { border-left-color: #d93025; }
+  .result.failed { border-left-color: #7b1fa2; }
+  .result header { display: flex; gap: 12px; align-items: baseline; flex-wrap: wrap; margin-bottom: 8px; }
+  .result h2 { font-size: 16px; margin: 0; word-break: break-all; }
+  .badge { font-size: 12px; padding: 2px 8px; border-radius: 10px; color: #fff; }
+  .badge.match { background: #2e9d4f; } .badge.warning { background: #f29900; } .badge.diff { background: #d93025; } .badge.failed { background: #7b1fa2; }
+  .viewport, .note { font-size: 12px; color: #666; }
+  .shifts { font-size: 13px; margin: 0 0 8px; padding-left: 18px; }
+  .text-diff { font-size: 13px; margin-bottom: 8px; } .text-diff ul { padding-left: 18px; max-height: 400px; overflow: auto; }
+  .text-diff .context { color: #888; } del { background: #fdd; } ins { background: #dfd; text-decoration: none; }
+  .perf { font-size: 12px; border-collapse: collapse; margin-bottom: 8px; } .perf th, .perf td { padding: 2px 8px; text-align: right; border-bottom: 1px solid #eee; }
+  .perf td.regressed { color: #d93025; font-weight: bold; }
+  .page-errors { font-size: 13px; margin-bottom: 8px; } .page-errors ul { padding-left: 18px; max-height: 300px; overflow: auto; word-break: break-all; }
+  .page-errors li.warning { color: #888; }
+  .a11y { font-size: 13px; margin-bottom: 8px; } .a11y ul { padding-left: 18px; max-height: 400px; overflow: auto; }
+  .a11y li.added::before { content: "New "; color: #d93025; } .a11y li.removed::before { content: "Fixed "; color: #2e9d4f; }
+  .seo { font-size: 13px; margin-bottom: 8px; } .seo table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+  .seo td, .seo th { padding: 2px 8px; border-bottom: 1px solid #eee; text-align: left; vertical-align: top; word-break: break-all; }
+  .seo tr.missing td:first-child { color: #d93025; }
+  .seo-summary { background: #fff; border-radius: 6px; padding: 12px 16px; margin-bottom: 16px; font-size: 13px; } .seo-summary ul { max-height: 300px; overflow: auto; }
+  .tabs { margin-bottom: 8px; }
+  .view { display: none; } .view.active { display: block; }
+  .view.side.active { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+  figure { margin: 0; } figcaption { font-size: 12px; text-align: center; margin-bottom: 4px; }
+  figure img, .stack img { width: 100%; display: block; border: 1px solid #ddd; }
+  figure.missing p { color: #999; text-align: center; }
+  .zoomable { cursor: zoom-in; }
+  .stack { position: relative; max-width: 900px; }
+  .stack img.top { position: absolute; top: 0; left: 0; }
+  .legend { display: flex; justify-content: space-between; max-width: 900px; font-size: 12px; color: #666; }
+  input[type=range] { width: 300px; }
+  #zoom { display: none; position: fixed; inset: 0; background: rgba(0,0,0,0.85); z-index: 10; overflow: auto; }
+  #zoom.open { display: block; }
+  #zoom .controls { position: fixed; top: 12px; right: 24px; display: flex; gap: 8px; }
+  #zoom img { display: block; margin: 48px auto; transform-origin: top left; }
+`;
+
+const script = `
+  const main = document.querySelector('main');
+  const sections = [...document.querySelectorAll('.result')];
+
+  document.querySelectorAll('[data-filter]').forEach(btn => btn.addEventListener('click', () => {
+    document.querySelectorAll('[data-filter]').forEach(b => b.classList.toggle('active', b === btn));
+    sections.forEach(s => { s.style.display = btn.dataset.filter === 'all' || s.dataset.status === btn.dataset.filter ? '' : 'none'; });
+  }));
+
+  document.getElementById('sort').addEventListener('change', e => {
+    const key = e.target.value;
+    const sorted = [...sections].sort((a, b) => key === 'original'
+      ? a.dataset.index - b.dataset.index
+      : (key === 'desc' ? 1 : -1) * (b.dataset.diff - a.dataset.diff));
+    sorted.forEach(s => main.appendChild(s));
+  });
+
+  // Images are set from reportImages once their result scrolls near the viewport
+  const imageObserver = new IntersectionObserver(entries => entries.forEach(entry => {
+    if (!entry.isIntersecting) return;
+    const images = reportImages[entry.target.dataset.index] || {};
+    entry.target.querySelectorAll('img[data-image]').forEach(img => { img.src = images[img.dataset.image]; });
+    imageObserver.unobserve(entry.target);
+  }), { rootMargin: '1000px' });
+
+  sections.forEach(section => {
+    imageObserver.observe(section);
+    section.querySelectorAll('.tab').forEach(tab => tab.addEventListener('click', () => {
+      section.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t === tab));
+      section.querySelectorAll('.view').forEach(v => v.classList.toggle('active', v.classList.contains(tab.dataset.view)));
+    }));
+    const opacity = section.querySelector('.opacity');
+    if (opacity) opacity.addEventListener('input', () => {
+      section.querySelector('.overlay img.top').style.opacity = opacity.value / 100;
+    });
+    const reveal = section.querySelector('.reveal');
+    if (reveal) reveal.addEventListener('input', () => {
+      section.querySelector('.slider img.top').style.clipPath = 'inset(0 ' + (100 - reveal.value) + '% 0 0)';
+    });
+  });
+
+  const zoom = document.getElementById('zoom');
+  const zoomImg = zoom.querySelector('img');
+  let scale = 1;
+  const applyScale = () => { zoomImg.style.width = (zoomImg.naturalWidth * scale) + 'px'; zoom.querySelector('.level').textContent = Math.round(scale * 100) + '%'; };
+  document.querySelectorAll('.zoomable').forEach(img => img.addEventListener('click', () => {
+    zoomImg.onload = () => { scale = Math.min(1, (window.innerWidth - 48) / zoomImg.naturalWidth); applyScale(); };
+    zoomImg.src = img.src;
+    zoom.classList.add('open');
+  }));
+  zoom.querySelector('.in').addEventListener('click', () => { scale *= 1.5; applyScale(); });
+  zoom.querySelector('.out').addEventListener('click', () => { scale /= 1.5; applyScale(); });
+  zoom.querySelector('.close').addEventListener('click', () => zoom.classList.remove('open'));
+  zoom.addEventListener('wheel', e => { if (!e.ctrlKey) return; e.preventDefault(); scale *= e.deltaY < 0 ? 1.1 : 0.9; applyScale(); }, { passive: false });
+  document.addEventListener('keydown', e => { if (e.key === 'Escape') zoom.classList.remove('open'); });
+`;
+
+// Script registering the image sources of one result; "<" is escaped so a path cannot end the script
+function imageScript(index, images) {
+  return `<script>reportImages[${index}] = ${JSON.stringify(images).replace(/</g, "\\u003c")};</script>`;
+}
+
+// Written result by result, so no single string has to hold every embedded screenshot
+export async function generateHTMLReport(results, summary, { reportPath, labels, embedImages = true }) {
+  console.log('🌐 Generating HTML report...');
+  const reportDir = path.dirname(reportPath);
+  const counts = countByStatus(results);
+  await fs.ensureDir(reportDir);
+  const file = await fs.promises.open(reportPath, "w");
+  try {
+    await file.write(`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Visual Comparison Report</title>
+<style>${styles}</style>
+<script>const reportImages = {};</script>
+</head>
+<body>
+  <div class="top-bar">
+    <h1>Visual Comparison Report</h1>
+    <div class="summary">
+      <span>${escapeHtml(labels.dev)} vs ${escapeHtml(labels.prod)}</span>
+      <span>URLs: ${summary.totalUrls}</span>
+      ${summary.viewports ? `<span>Viewports: ${escapeHtml(summary.viewports.join(", "))}</span>` : ""}
+      <span>Total time: ${summary.totalDuration.toFixed(2)}s</span>
+      ${summary.performance && summary.performance.regressions ? `<span>🐌 ${summary.performance.regressions} performance regression(s) on ${summary.performance.regressedUrls} URL(s)</span>` : ""}
+      ${summary.pageErrors && summary.pageErrors.newErrors ? `<span>🐞 ${summary.pageErrors.newErrors} new error(s) on ${summary.pageErrors.urlsWithNewErrors} URL(s)</span>` : ""}
+      ${summary.seo && summary.seo.changedUrls ? `<span>🔎 SEO changes on ${summary.seo.changedUrls} URL(s)</span>` : ""}
+      ${summary.accessibility ? `<span>♿ ${summary.accessibility.new} new / ${summary.accessibility.fixed} fixed violation(s)${summary.accessibility.failed ? `, ${summary.accessibility.failed} audit(s) failed` : ""}</span>` : ""}
+      <span>Generated: ${escapeHtml(new Date().toLocaleString())}</span>
+    </div>
+    <div class="filters">
+      <button data-filter="all" class="active">All (${results.length})</button>
+      <button data-filter="match">Match (${counts.match})</button>
+      <button data-filter="warning">Warning (${counts.warning})</button>
+      <button data-filter="diff">Diff (${counts.diff})</button>
+      <button data-filter="failed">Failed (${counts.failed})</button>
+    </div>
+    <label>Sort
+      <select id="sort">
+        <option value="original">Original order</option>
+        <option value="desc">Largest diff first</option>
+        <option value="asc">Smallest diff first</option>
+      </select>
+    </label>
+  </div>
+  <main>${renderSeoSummary(summary.seo, labels)}`);
+
+    for (const [index, result] of results.entries()) {
+      const images = Object.fromEntries(Object.entries({ dev: result.devPath, prod: result.prodPath, diff: result.diffPath })
+        .map(([side, imgPath]) => [side, imageSource(imgPath, reportDir, embedImages)])
+        .filter(([, source]) => source));
+      await file.write(renderResult(result, index, labels, images) + imageScript(index, images));
+    }
+
+    await file.write(`</main>
+  <div id="zoom">
+    <div class="controls"><button class="out">−</button><button class="level">100%</button><button class="in">+</button><button class="close">✕</button></div>
+    <img alt="Zoomed diff">
+  </div>
+<script>${script}</script>
+</body>
+</html>`);
+    console.log(`🌐 HTML report generated: ${reportPath}`);
+  } catch (error) {
+    console.error('❌ Error generating HTML report:', error.message);
+    throw error;
+  } finally {
+    await file.close();
+  }
+}
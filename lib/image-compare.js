@@ -0,0 +1,82 @@
+import fs from "fs-extra";
+import path from "path";
+import pixelmatch from "pixelmatch";
+import sharp from "sharp";
+import { PNG } from "pngjs";
+import { applyIgnoreRects, paintIgnoreRects, drawIgnoreRects } from "./masks.js";
+import { alignByBands, alignBySections, compareAligned } from "./shift-compare.js";
+
+// Screenshot comparison shared by every command: the two images are padded to the same size
+// (compareMode "pad") or aligned by pixel bands / DOM sections, masked regions are ignored and
+// the diff image is written as PNG.
+
+// PNG-compatible { width, height, data } for any image format sharp can read
+export async function readImage(filePath) {
+  if (path.extname(filePath).toLowerCase() === ".png") return PNG.sync.read(fs.readFileSync(filePath));
+  const { data, info } = await sharp(filePath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const img = new PNG({ width: info.width, height: info.height });
+  data.copy(img.data);
+  return img;
+}
+
+// Pad a PNG image to the target width/height with white background
+export function padImage(img, targetWidth, targetHeight) {
+  if (img.width === targetWidth && img.height === targetHeight) return img;
+  const padded = new PNG({ width: targetWidth, height: targetHeight, fill: true });
+  // Fill with white
+  padded.data.fill(255);
+  // Copy original image data
+  PNG.bitblt(img, padded, 0, 0, img.width, img.height, 0, 0);
+  return padded;
+}
+
+// Move an ignore rect from original image rows to aligned diff rows
+function mapRect(rect, mapRow) {
+  const top = mapRow(rect.y);
+  return { ...rect, y: top, height: mapRow(rect.y + rect.height - 1) - top + 1 };
+}
+
+// Compare with the two screenshots aligned by pixel bands or DOM sections (see shift-compare.js)
+function compareShifted(img1, img2, diffPath, left, right, { compareMode, maxRowEdits }) {
+  paintIgnoreRects(img1, left.ignoreRects);
+  paintIgnoreRects(img2, right.ignoreRects);
+
+  const hunks = compareMode === "sections"
+    ? alignBySections(img1, img2, left.sections, right.sections)
+    : alignByBands(img1, img2, { maxEdits: maxRowEdits });
+  const { diff, diffPixels, totalPixels, shifts, mapLeftRow, mapRightRow } = compareAligned(img1, img2, hunks, { threshold: 0.1 });
+
+  drawIgnoreRects(diff, [
+    ...left.ignoreRects.map(rect => mapRect(rect, mapLeftRow)),
+    ...right.ignoreRects.map(rect => mapRect(rect, mapRightRow))
+  ]);
+  fs.outputFileSync(diffPath, PNG.sync.write(diff));
+  return { diffPixels, totalPixels, shifts };
+}
+
+// `left` / `right` carry the ignoreRects (and sections) measured when each side was captured
+export async function compareScreenshots(img1Path, img2Path, diffPath, {
+  compareMode = "pad",
+  maxRowEdits = 2000,
+  left = { ignoreRects: [], sections: [] },
+  right = { ignoreRects: [], sections: [] }
+} = {}) {
+  let img1 = await readImage(img1Path);
+  let img2 = await readImage(img2Path);
+  if (compareMode !== "pad") return compareShifted(img1, img2, diffPath, left, right, { compareMode, maxRowEdits });
+
+  const ignoreRects = [...left.ignoreRects, ...right.ignoreRects];
+  const width = Math.max(img1.width, img2.width);
+  const height = Math.max(img1.height, img2.height);
+
+  img1 = padImage(img1, width, height);
+  img2 = padImage(img2, width, height);
+  applyIgnoreRects(img1, img2, ignoreRects);
+
+  const diff = new PNG({ width, height });
+  const numDiffPixels = pixelmatch(img1.data, img2.data, diff.data, width, height, { threshold: 0.1 });
+  drawIgnoreRects(diff, ignoreRects);
+
+  fs.outputFileSync(diffPath, PNG.sync.write(diff));
+  return { diffPixels: numDiffPixels, totalPixels: width * height, shifts: [] };
+}
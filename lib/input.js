@@ -0,0 +1,48 @@
+import fs from "fs-extra";
+import XLSX from "xlsx";
+
+// URL lists are Excel workbooks: the first column of the first sheet holds full URLs or paths.
+
+// Every non-empty row of the URL column, parsed: { row, value, url, path, error }
+export function readUrlRows(filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`Excel file not found: ${filePath}`);
+  const workbook = XLSX.readFile(filePath);
+  const sheetName = workbook.SheetNames[0];
+  const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
+  if (!data.length) throw new Error('Excel file is empty');
+  const column = Object.keys(data[0])[0];
+
+  const rows = data.map(row => {
+    const value = row[column] === undefined ? "" : String(row[column]).trim();
+    const entry = { row: row.__rowNum__ + 1, value, url: null, path: null, error: null }; // Excel row number
+    if (!value) return { ...entry, error: "empty" };
+    try {
+      const url = new URL(value);
+      if (!/^https?:$/.test(url.protocol)) return { ...entry, error: `unsupported protocol ${url.protocol}` };
+      return { ...entry, url: url.href, path: url.pathname };
+    } catch {
+      return { ...entry, path: value.startsWith('/') ? value : `/${value}` };
+    }
+  });
+  return { sheetName, column, rows };
+}
+
+// Paths to compare, in file order
+export function readUrlsFromExcel(filePath) {
+  try {
+    const { column, rows } = readUrlRows(filePath);
+    console.log('Using column:', column);
+    const urls = rows.filter(row => row.path && !row.error).map(row => row.path);
+    if (!urls.length) throw new Error('No valid URLs found');
+    console.log('Extracted paths:', urls);
+    return urls;
+  } catch (error) {
+    console.error('Error reading Excel file:', error.message);
+    return [];
+  }
+}
+
+// Full URLs (rows holding a bare path are skipped), in file order
+export function readFullUrlsFromExcel(filePath) {
+  return readUrlRows(filePath).rows.filter(row => row.url).map(row => row.url);
+}
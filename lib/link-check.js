@@ -0,0 +1,86 @@
+import { request } from "playwright";
+import { HostLimiter } from "./host-limiter.js";
+
+// Checks whether links work. Every URL is requested once per run (results are cached), following
+// redirects one hop at a time to record the chain. Links on the pages' own hosts go through the
+// browser context of that host so they carry its logged-in session; external links use a clean context.
+
+// Servers that refuse HEAD are asked again with GET
+const HEAD_REFUSED = [403, 405, 501];
+
+export function isCheckableLink(url) {
+  return /^https?:\/\//i.test(url);
+}
+
+export class LinkChecker {
+  // `sessionRequests` maps host names to the request API of the browser context logged in to them
+  constructor(config, sessionRequests) {
+    this.config = config;
+    this.sessionRequests = sessionRequests;
+    this.hostLimiter = new HostLimiter(config);
+    this.cache = new Map();
+  }
+
+  async close() {
+    if (this.externalRequest) await (await this.externalRequest).dispose();
+  }
+
+  requestFor(url) {
+    const sessionRequest = this.sessionRequests.get(new URL(url).hostname);
+    if (sessionRequest) return sessionRequest;
+    this.externalRequest ||= request.newContext({ ignoreHTTPSErrors: true });
+    return this.externalRequest;
+  }
+
+  // { url, status, redirects: [{ url, status }], finalUrl, responseTime, error, broken, redirected }
+  check(url) {
+    if (!this.cache.has(url)) this.cache.set(url, this.fetchChain(url));
+    return this.cache.get(url);
+  }
+
+  async fetchChain(url) {
+    const startTime = Date.now();
+    const redirects = [];
+    let current = url;
+    try {
+      for (;;) {
+        const status = await this.hostLimiter.run(current, () => this.fetchOnce(current));
+        const location = status.location && new URL(status.location, current).href;
+        if (status.code < 300 || status.code >= 400 || !location) {
+          return this.result(url, { status: status.code, redirects, finalUrl: current, startTime });
+        }
+        redirects.push({ url: current, status: status.code });
+        if (redirects.length > this.config.maxRedirects) throw new Error(`More than ${this.config.maxRedirects} redirects`);
+        current = location;
+      }
+    } catch (error) {
+      return this.result(url, { status: null, redirects, finalUrl: current, startTime, error: error.message });
+    }
+  }
+
+  async fetchOnce(url) {
+    const api = await this.requestFor(url);
+    const options = { maxRedirects: 0, timeout: this.config.linkCheckTimeout, failOnStatusCode: false };
+    let response = await api.fetch(url, { ...options, method: "HEAD" });
+    if (HEAD_REFUSED.includes(response.status())) {
+      await response.dispose();
+      response = await api.fetch(url, { ...options, method: "GET" });
+    }
+    const status = { code: response.status(), location: response.headers().location };
+    await response.dispose();
+    return status;
+  }
+
+  result(url, { status, redirects, finalUrl, startTime, error = null }) {
+    return {
+      url,
+      status,
+      redirects,
+      finalUrl,
+      responseTime: Date.now() - startTime,
+      error,
+      broken: Boolean(error) || status >= 400,
+      redirected: redirects.length > 0
+    };
+  }
+}
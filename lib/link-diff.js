@@ -0,0 +1,85 @@
+import fs from "fs-extra";
+import path from "path";
+import xlsx from "xlsx";
+import { environmentOrigins } from "./config.js";
+
+// Links of the same page on two environments, compared after mapping every environment host to a
+// plain path, so /de_DE/x on stage and on prod count as the same link.
+
+const LOCALE_SEGMENT = /^[a-z]{2}_[A-Z]{2}$/;
+
+// Internal links are already paths; external links to an environment host become paths too
+function normalizeLinks(result, origins) {
+  const external = result.externalLinks.map(link => {
+    const url = new URL(link);
+    return origins.has(url.origin) ? url.pathname + url.search + url.hash : link;
+  });
+  return new Set([...result.internalLinks, ...external]);
+}
+
+// Page group used for the workbook sheets: the first path segment after the locale, e.g. "otc-page"
+export function pageGroup(urlPath) {
+  const segments = urlPath.split("/").filter(Boolean);
+  if (segments.length && LOCALE_SEGMENT.test(segments[0])) segments.shift();
+  return segments.length > 1 ? segments[0] : "pages";
+}
+
+// { path, group, onlyLeft, onlyRight, both, error } for one page extracted on both environments
+export function diffPageLinks(urlPath, left, right, config) {
+  const origins = environmentOrigins(config);
+  const leftLinks = normalizeLinks(left, origins);
+  const rightLinks = normalizeLinks(right, origins);
+  return {
+    path: urlPath,
+    group: pageGroup(urlPath),
+    onlyLeft: [...leftLinks].filter(link => !rightLinks.has(link)),
+    onlyRight: [...rightLinks].filter(link => !leftLinks.has(link)),
+    both: [...leftLinks].filter(link => rightLinks.has(link)),
+    error: [left.error && `${left.url}: ${left.error}`, right.error && `${right.url}: ${right.error}`].filter(Boolean).join("\n") || null
+  };
+}
+
+// Excel sheet names: at most 31 characters, no []:*?/\ and unique
+function sheetName(name, used) {
+  const base = name.replace(/[[\]:*?/\\]/g, "_").slice(0, 28) || "pages";
+  let candidate = base;
+  for (let i = 2; used.has(candidate); i++) candidate = `${base}-${i}`;
+  used.add(candidate);
+  return candidate;
+}
+
+// A summary sheet plus one sheet per page group listing every link with where it appears
+export function writeLinkDiffWorkbook(diffs, labels, outputDir) {
+  const workbook = xlsx.utils.book_new();
+  const used = new Set(["Summary"]);
+
+  const summary = xlsx.utils.json_to_sheet(diffs.map(diff => ({
+    page: diff.path,
+    group: diff.group,
+    [`only ${labels.dev}`]: diff.onlyLeft.length,
+    [`only ${labels.prod}`]: diff.onlyRight.length,
+    both: diff.both.length,
+    error: diff.error || ""
+  })));
+  summary["!cols"] = [{ wch: 60 }, { wch: 20 }, { wch: 14 }, { wch: 14 }, { wch: 8 }, { wch: 60 }];
+  xlsx.utils.book_append_sheet(workbook, summary, "Summary");
+
+  const groups = new Map();
+  for (const diff of diffs) groups.set(diff.group, [...(groups.get(diff.group) || []), diff]);
+  for (const [group, groupDiffs] of groups) {
+    const rows = groupDiffs.flatMap(diff => [
+      ...diff.onlyLeft.map(link => ({ page: diff.path, link, found: `only ${labels.dev}` })),
+      ...diff.onlyRight.map(link => ({ page: diff.path, link, found: `only ${labels.prod}` })),
+      ...diff.both.map(link => ({ page: diff.path, link, found: "both" }))
+    ]);
+    const sheet = xlsx.utils.json_to_sheet(rows.length ? rows : [{ page: "No links found" }]);
+    sheet["!cols"] = [{ wch: 60 }, { wch: 80 }, { wch: 14 }];
+    xlsx.utils.book_append_sheet(workbook, sheet, sheetName(group, used));
+  }
+
+  fs.ensureDirSync(outputDir);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const outputFile = path.join(outputDir, `link_diff_${timestamp}.xlsx`);
+  xlsx.writeFile(workbook, outputFile);
+  return outputFile;
+}
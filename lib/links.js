@@ -0,0 +1,251 @@
+import fs from "fs-extra";
+import path from "path";
+import xlsx from "xlsx";
+import { environmentForUrl } from "./config.js";
+import { loadSessions } from "./session-store.js";
+import { launchBrowser } from "./browser.js";
+import { runWithConcurrencyLimit } from "./concurrency.js";
+import { LinkChecker, isCheckableLink } from "./link-check.js";
+
+// Link inventory of a list of pages: every internal and external link outside the header and footer
+
+class TabPool {
+  constructor(browser, size, storageState) {
+    this.browser = browser;
+    this.size = size;
+    this.storageState = storageState;
+    this.tabs = [];
+    this.ready = null;
+  }
+
+  // Concurrent callers share one set-up, so the pool gets a single context
+  initialize() {
+    this.ready ||= (async () => {
+      // Create a single context for all tabs, logged in with the saved sessions
+      this.context = await this.browser.newContext({ storageState: this.storageState });
+
+      // Create initial tabs in the same context
+      for (let i = 0; i < this.size; i++) {
+        const page = await this.context.newPage();
+        this.tabs.push({ page, busy: false });
+      }
+    })();
+    return this.ready;
+  }
+
+  async getTab() {
+    await this.initialize();
+
+    // Wait for a free tab
+    while (true) {
+      const tab = this.tabs.find(t => !t.busy);
+      if (tab) {
+        tab.busy = true;
+        return tab;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  releaseTab(tab) {
+    const tabIndex = this.tabs.findIndex(t => t.page === tab.page);
+    if (tabIndex !== -1) {
+      this.tabs[tabIndex].busy = false;
+    }
+  }
+
+  async close() {
+    if (this.context) {
+      await this.context.close();
+    }
+  }
+}
+
+// Split absolute link URLs into same-host paths and external URLs, without duplicates
+export function categorizeLinks(links, pageUrl) {
+  const baseUrl = new URL(pageUrl);
+  const internalLinks = [];
+  const externalLinks = [];
+
+  links.forEach(link => {
+    try {
+      const linkUrl = new URL(link);
+      if (linkUrl.hostname === baseUrl.hostname) {
+        internalLinks.push(linkUrl.pathname + linkUrl.search + linkUrl.hash);
+      } else {
+        externalLinks.push(link);
+      }
+    } catch {
+      // Skip invalid URLs
+    }
+  });
+
+  return { internalLinks: [...new Set(internalLinks)], externalLinks: [...new Set(externalLinks)] };
+}
+
+async function extractLinks(tabPool, url, index, config) {
+  const tab = await tabPool.getTab();
+  try {
+    await tab.page.goto(url, { waitUntil: 'networkidle', timeout: config.timeout });
+
+    // Remove header and footer elements
+    await tab.page.evaluate(() => {
+      const header = document.querySelector('.layout > .header');
+      const footer = document.querySelector('footer');
+      if (header) header.remove();
+      if (footer) footer.remove();
+    });
+
+    // Extract all links from the remaining content
+    const links = await tab.page.evaluate(() => {
+      const anchors = Array.from(document.querySelectorAll('a[href]'));
+      return anchors.map(a => a.href);
+    });
+
+    return { index, url, ...categorizeLinks(links, url) };
+  } catch (error) {
+    console.error(`Error processing ${url}:`, error.message);
+    return { index, url, internalLinks: [], externalLinks: [], error: error.message };
+  } finally {
+    tabPool.releaseTab(tab);
+  }
+}
+
+// Environment of every host in the list, once each
+function environmentsOf(urls, config) {
+  return [...new Map(urls.flatMap(url => {
+    try {
+      const env = environmentForUrl(config, url);
+      return [[env.baseUrl, env]];
+    } catch {
+      return []; // Invalid URLs are reported when they are processed
+    }
+  })).values()];
+}
+
+// Absolute URLs (without fragment) of a page's links that can be requested
+function checkableLinks(result) {
+  const links = [...result.internalLinks.map(link => new URL(link, result.url).href), ...result.externalLinks]
+    .filter(isCheckableLink)
+    .map(link => link.replace(/#.*$/, ''));
+  return [...new Set(links)];
+}
+
+// Request every unique link of the pages once and attach the outcomes as `linkChecks`
+async function checkLinks(results, pools, config) {
+  const sessionRequests = new Map([...pools]
+    .filter(([, pool]) => pool.context)
+    .map(([baseUrl, pool]) => [new URL(baseUrl).hostname, pool.context.request]));
+  const checker = new LinkChecker(config, sessionRequests);
+  const unique = [...new Set(results.flatMap(checkableLinks))];
+  console.log(`\n🔗 Checking ${unique.length} unique link(s)...`);
+
+  try {
+    await runWithConcurrencyLimit(unique.map(link => () => checker.check(link)), config.concurrency);
+    for (const result of results) {
+      result.linkChecks = await Promise.all(checkableLinks(result).map(link => checker.check(link)));
+    }
+  } finally {
+    await checker.close();
+  }
+}
+
+// Tab pool of the environment serving `url`, or null for an invalid URL
+function poolFor(pools, url, config) {
+  try {
+    return pools.get(environmentForUrl(config, url).baseUrl);
+  } catch {
+    return null;
+  }
+}
+
+// Links of every page in `urls`, in input order; with config.checkLinks every link is also requested
+export async function collectLinks(urls, config) {
+  // Load (or log in to) the saved session of every host in the list, each kept on its own
+  const storageStates = new Map();
+  for (const env of environmentsOf(urls, config)) {
+    storageStates.set(env.baseUrl, await loadSessions([env], config));
+  }
+
+  // One context per environment, so environments sharing a parent cookie domain never mix sessions
+  const browser = await launchBrowser(config);
+  const pools = new Map([...storageStates].map(([baseUrl, storageState]) => [baseUrl, new TabPool(browser, config.concurrency, storageState)]));
+
+  try {
+    // Process URLs with a fixed pool of tabs, loading no more pages at once than a pool has tabs
+    const results = await runWithConcurrencyLimit(urls.map((url, index) => async () => {
+      console.log(`\n${index + 1} - Processing URL: ${url}`);
+      const tabPool = poolFor(pools, url, config);
+      if (!tabPool) {
+        console.error(`Error processing ${url}: invalid URL`);
+        return { index, url, internalLinks: [], externalLinks: [], error: "Invalid URL" };
+      }
+      return extractLinks(tabPool, url, index, config);
+    }), config.concurrency);
+    if (config.checkLinks) await checkLinks(results, pools, config);
+    return results;
+  } finally {
+    for (const tabPool of pools.values()) await tabPool.close();
+    await browser.close();
+  }
+}
+
+function describeChain(check) {
+  return [...check.redirects.map(hop => `${hop.status} ${hop.url}`), `${check.status ?? 'error'} ${check.finalUrl}`].join('\n');
+}
+
+function checkRow(check) {
+  return {
+    status: check.status ?? '',
+    error: check.error || '',
+    finalUrl: check.finalUrl,
+    redirectChain: check.redirected ? describeChain(check) : '',
+    responseTimeMs: check.responseTime
+  };
+}
+
+// One row per page with its links, into a timestamped workbook in `outputDir`. Checked links add
+// broken/redirected counts per page, a "Broken links" sheet and a sheet with every checked link.
+export function writeLinksWorkbook(results, outputDir) {
+  const checked = results.some(result => result.linkChecks);
+  const rows = results.map(result => ({
+    sourceUrl: result.url,
+    summary: `Internal Links: ${result.internalLinks.length}, External Links: ${result.externalLinks.length}`,
+    ...(checked && {
+      brokenLinks: result.linkChecks.filter(check => check.broken).length,
+      redirectedLinks: result.linkChecks.filter(check => check.redirected).length
+    }),
+    internalLinks: result.internalLinks.join('\n'),
+    externalLinks: result.externalLinks.join('\n')
+  }));
+
+  const workbook = xlsx.utils.book_new();
+  const worksheet = xlsx.utils.json_to_sheet(rows);
+  worksheet['!cols'] = [
+    { wch: 50 }, // sourceUrl
+    { wch: 30 }, // summary
+    ...(checked ? [{ wch: 12 }, { wch: 15 }] : []), // brokenLinks, redirectedLinks
+    { wch: 50 }, // internalLinks
+    { wch: 50 } // externalLinks
+  ];
+  xlsx.utils.book_append_sheet(workbook, worksheet, 'Results');
+
+  if (checked) {
+    const broken = results.flatMap(result => result.linkChecks.filter(check => check.broken)
+      .map(check => ({ sourceUrl: result.url, link: check.url, ...checkRow(check) })));
+    const brokenSheet = xlsx.utils.json_to_sheet(broken.length ? broken : [{ sourceUrl: 'No broken links' }]);
+    brokenSheet['!cols'] = [{ wch: 50 }, { wch: 50 }, { wch: 8 }, { wch: 30 }, { wch: 50 }, { wch: 60 }, { wch: 15 }];
+    xlsx.utils.book_append_sheet(workbook, brokenSheet, 'Broken links');
+
+    const unique = new Map(results.flatMap(result => result.linkChecks.map(check => [check.url, check])));
+    const linkSheet = xlsx.utils.json_to_sheet([...unique.values()].map(check => ({ link: check.url, ...checkRow(check) })));
+    linkSheet['!cols'] = [{ wch: 50 }, { wch: 8 }, { wch: 30 }, { wch: 50 }, { wch: 60 }, { wch: 15 }];
+    xlsx.utils.book_append_sheet(workbook, linkSheet, 'Checked links');
+  }
+
+  fs.ensureDirSync(outputDir);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const outputFile = path.join(outputDir, `link_results_${timestamp}.xlsx`);
+  xlsx.writeFile(workbook, outputFile);
+  return outputFile;
+}
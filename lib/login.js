@@ -0,0 +1,170 @@
+import fs from "fs-extra";
+
+// Scripted login. Each environment lists the login gates it sits behind (config.environments.<env>.login),
+// each gate is defined once in config.loginGates. A gate is checked by opening `checkPath`: if the browser
+// ends up on a URL matching `loginUrlPattern`, the sign-in form is filled with credentials from
+// environment variables (<ENV>_<GATE>_USERNAME / _PASSWORD) or the secrets file.
+// Without credentials a headed browser falls back to waiting for a manual login.
+
+export class LoginError extends Error {
+  constructor(env, gate, message) {
+    super(`Login failed for ${env} (${gate}): ${message}`);
+    this.name = "LoginError";
+    this.env = env;
+    this.gate = gate;
+  }
+}
+
+// A navigation landed on a login page (or a page showing a logged-out marker) instead of the content
+export class SessionExpiredError extends Error {
+  constructor(env, gate, url) {
+    super(`Session expired for ${env} (${gate}): ${url} shows the login page`);
+    this.name = "SessionExpiredError";
+    this.env = env;
+    this.gate = gate;
+  }
+}
+
+export function isAuthError(error) {
+  return error instanceof LoginError || error instanceof SessionExpiredError;
+}
+
+function envVarPrefix(envName, gateName) {
+  return `${envName}_${gateName}`.toUpperCase().replace(/\W+/g, "_");
+}
+
+let secretsCache = null;
+
+function readSecrets(secretsFile) {
+  if (secretsCache) return secretsCache;
+  secretsCache = secretsFile && fs.existsSync(secretsFile) ? fs.readJsonSync(secretsFile) : {};
+  return secretsCache;
+}
+
+// Credentials for a gate: environment variables first, then "<env>-<gate>" in the secrets file
+export function getCredentials(config, envName, gateName) {
+  const prefix = envVarPrefix(envName, gateName);
+  const fromEnv = { username: process.env[`${prefix}_USERNAME`], password: process.env[`${prefix}_PASSWORD`] };
+  if (fromEnv.username && fromEnv.password) return fromEnv;
+
+  const fromFile = readSecrets(config.secretsFile)[`${envName}-${gateName}`];
+  if (fromFile && fromFile.username && fromFile.password) return fromFile;
+  return null;
+}
+
+function onLoginPage(page, gate) {
+  return page.url().includes(gate.loginUrlPattern);
+}
+
+const SEEN_BEFORE_SUBMIT = "data-login-error-before-submit";
+
+// Mark the error elements already showing before the submit (cookie notices, maintenance banners), so
+// only a message that appears in response to the sign-in counts as a failure
+async function markVisibleErrors(page, gate) {
+  if (!gate.errorSelector) return;
+  for (const element of await page.locator(gate.errorSelector).all()) {
+    if (await element.isVisible()) await element.evaluate((node, name) => node.setAttribute(name, ""), SEEN_BEFORE_SUBMIT);
+  }
+}
+
+// Wait until the browser has left the login page for the environment. After a scripted submit an error
+// message appearing on the form ends the wait too; a manual login keeps waiting while the user retries.
+async function waitForLoginResult(page, env, gateName, gate, timeout, { scripted }) {
+  const success = page.waitForURL(
+    url => url.toString().startsWith(env.baseUrl) && !url.toString().includes(gate.loginUrlPattern),
+    { timeout }
+  ).then(() => ({ ok: true }));
+
+  const newError = scripted && gate.errorSelector
+    ? page.locator(gate.errorSelector).and(page.locator(`:not([${SEEN_BEFORE_SUBMIT}])`)).filter({ visible: true }).first()
+    : null;
+  const failure = newError
+    ? newError.waitFor({ state: "visible", timeout })
+      .then(async () => ({ ok: false, message: (await newError.innerText()).trim() }))
+    : new Promise(() => {});
+
+  try {
+    const result = await Promise.race([success, failure]);
+    if (!result.ok) throw new LoginError(env.name, gateName, result.message || "the sign-in form reported an error");
+  } catch (error) {
+    if (error instanceof LoginError) throw error;
+    throw new LoginError(env.name, gateName, `still on ${page.url()} after ${timeout / 1000}s`);
+  } finally {
+    success.catch(() => {});
+    failure.catch(() => {});
+  }
+}
+
+async function submitForm(page, gate, credentials, timeout) {
+  await page.locator(gate.usernameSelector).first().fill(credentials.username, { timeout });
+  // Two-step SSO forms ask for the user name first
+  if (gate.nextSelector && await page.locator(gate.nextSelector).first().isVisible()) {
+    await page.locator(gate.nextSelector).first().click();
+  }
+  await page.locator(gate.passwordSelector).first().fill(credentials.password, { timeout });
+  await page.locator(gate.submitSelector).first().click();
+}
+
+// Name of the first gate of the environment whose login page or logged-out marker the page shows, or null
+export async function detectLoggedOut(page, env, config) {
+  for (const gateName of env.login || []) {
+    const gate = config.loginGates[gateName];
+    if (!gate) continue;
+    if (onLoginPage(page, gate)) return gateName;
+    if (gate.loggedOutSelector && await page.locator(gate.loggedOutSelector).first().isVisible()) return gateName;
+  }
+  return null;
+}
+
+export async function assertLoggedIn(page, env, config) {
+  const gateName = await detectLoggedOut(page, env, config);
+  if (gateName) throw new SessionExpiredError(env.name, gateName, page.url());
+}
+
+export async function loginToGate(page, env, gateName, config) {
+  const gate = config.loginGates[gateName];
+  if (!gate) throw new LoginError(env.name, gateName, `no login gate "${gateName}" in config.loginGates`);
+
+  console.log(`🔐 Checking ${env.name} ${gateName} login...`);
+  await page.goto(`${env.baseUrl}${gate.checkPath}`, { waitUntil: "domcontentloaded", timeout: config.timeout });
+
+  if (!onLoginPage(page, gate)) {
+    // A session the server dropped without redirecting cannot be signed in from here; the caller starts over
+    if (gate.loggedOutSelector && await page.locator(gate.loggedOutSelector).first().isVisible()) {
+      throw new SessionExpiredError(env.name, gateName, page.url());
+    }
+    console.log(`✅ ${env.name} ${gateName}: already logged in.`);
+    return;
+  }
+
+  const credentials = getCredentials(config, env.name, gateName);
+  if (credentials) {
+    console.log(`🔑 ${env.name} ${gateName}: signing in as ${credentials.username}...`);
+    await markVisibleErrors(page, gate);
+    await submitForm(page, gate, credentials, config.loginTimeout);
+  } else if (config.headless) {
+    const prefix = envVarPrefix(env.name, gateName);
+    throw new LoginError(env.name, gateName,
+      `no credentials - set ${prefix}_USERNAME and ${prefix}_PASSWORD or add "${env.name}-${gateName}" to ${config.secretsFile}`);
+  } else {
+    console.log(`🔑 ${env.name} ${gateName}: login required. Please complete login in the opened browser...`);
+  }
+
+  await waitForLoginResult(page, env, gateName, gate, config.loginTimeout, { scripted: Boolean(credentials) });
+
+  if (gate.successSelector) {
+    await page.goto(`${env.baseUrl}${gate.checkPath}`, { waitUntil: "domcontentloaded", timeout: config.timeout });
+    const confirmed = !onLoginPage(page, gate) && await page.locator(gate.successSelector).first().isVisible();
+    if (!confirmed) throw new LoginError(env.name, gateName, `signed in, but "${gate.successSelector}" is not visible`);
+  }
+  console.log(`✅ ${env.name} ${gateName}: login successful.`);
+}
+
+// Pass every login gate of every environment, in order
+export async function loginToEnvironments(page, environments, config) {
+  for (const env of environments) {
+    for (const gateName of env.login || []) {
+      await loginToGate(page, env, gateName, config);
+    }
+  }
+}
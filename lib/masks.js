@@ -0,0 +1,92 @@
+import { matchesUrlPattern } from "./url-patterns.js";
+
+// Ignore regions: CSS selectors are masked by Playwright at capture time and their boxes,
+// together with fixed rectangles, are excluded from the pixel comparison.
+
+const IGNORE_COLOR = [0, 160, 255];
+
+// Global masks plus the masks of every `urls` entry whose pattern matches the path
+export function getMasksForUrl(masks = {}, urlPath) {
+  const selectors = [...(masks.selectors || [])];
+  const rects = [...(masks.rects || [])];
+
+  for (const [pattern, urlMasks] of Object.entries(masks.urls || {})) {
+    if (!matchesUrlPattern(pattern, urlPath)) continue;
+    selectors.push(...(urlMasks.selectors || []));
+    rects.push(...(urlMasks.rects || []));
+  }
+
+  return { selectors, rects };
+}
+
+// Document-relative boxes of every element matching the selectors plus the fixed rects,
+// converted to screenshot pixels (device pixel ratio applied)
+export async function measureIgnoreRects(page, { selectors, rects }) {
+  return page.evaluate(({ selectors, rects }) => {
+    const ratio = window.devicePixelRatio || 1;
+    const boxes = [...rects];
+    for (const selector of selectors) {
+      for (const el of document.querySelectorAll(selector)) {
+        const box = el.getBoundingClientRect();
+        if (!box.width || !box.height) continue;
+        boxes.push({ x: box.left + window.scrollX, y: box.top + window.scrollY, width: box.width, height: box.height });
+      }
+    }
+    return boxes.map(b => ({
+      x: Math.floor(b.x * ratio),
+      y: Math.floor(b.y * ratio),
+      width: Math.ceil(b.width * ratio),
+      height: Math.ceil(b.height * ratio)
+    }));
+  }, { selectors, rects });
+}
+
+function clip(rect, width, height) {
+  const x0 = Math.max(0, rect.x);
+  const y0 = Math.max(0, rect.y);
+  const x1 = Math.min(width, rect.x + rect.width);
+  const y1 = Math.min(height, rect.y + rect.height);
+  return x1 > x0 && y1 > y0 ? { x0, y0, x1, y1 } : null;
+}
+
+// Paint the ignored regions in a single image
+export function paintIgnoreRects(img, rects) {
+  for (const rect of rects) {
+    const area = clip(rect, img.width, img.height);
+    if (!area) continue;
+    for (let y = area.y0; y < area.y1; y++) {
+      for (let x = area.x0; x < area.x1; x++) {
+        const idx = (y * img.width + x) * 4;
+        img.data[idx] = IGNORE_COLOR[0];
+        img.data[idx + 1] = IGNORE_COLOR[1];
+        img.data[idx + 2] = IGNORE_COLOR[2];
+        img.data[idx + 3] = 255;
+      }
+    }
+  }
+}
+
+// Paint the ignored regions identically in both images so pixelmatch never counts them
+export function applyIgnoreRects(img1, img2, rects) {
+  paintIgnoreRects(img1, rects);
+  paintIgnoreRects(img2, rects);
+}
+
+// Shade the ignored regions on the diff image and outline them, so reviewers see what was skipped
+export function drawIgnoreRects(diff, rects, border = 3) {
+  for (const rect of rects) {
+    const area = clip(rect, diff.width, diff.height);
+    if (!area) continue;
+    for (let y = area.y0; y < area.y1; y++) {
+      for (let x = area.x0; x < area.x1; x++) {
+        const idx = (y * diff.width + x) * 4;
+        const edge = x - area.x0 < border || area.x1 - x <= border || y - area.y0 < border || area.y1 - y <= border;
+        const alpha = edge ? 1 : 0.35;
+        for (let c = 0; c < 3; c++) {
+          diff.data[idx + c] = Math.round(diff.data[idx + c] * (1 - alpha) + IGNORE_COLOR[c] * alpha);
+        }
+        diff.data[idx + 3] = 255;
+      }
+    }
+  }
+}
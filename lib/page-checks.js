@@ -0,0 +1,38 @@
+import { compareAudits, summarizeAudit } from "./accessibility.js";
+import { comparePerformance, describeRegression } from "./performance.js";
+import { comparePageErrors, describeError } from "./page-errors.js";
+import { compareSeo, describeSeoChange } from "./seo.js";
+
+// Checks recorded on every captured page next to the screenshot (see captureScreenshot), compared
+// between the two sides of a task. Each entry compares the two records and logs what stands out.
+const CHECKS = {
+  accessibility: {
+    compare: (dev, prod) => compareAudits(dev, prod),
+    log: (accessibility, label) => console.log(`♿ ${label}: ${summarizeAudit(accessibility)}`)
+  },
+  performance: {
+    compare: (dev, prod, config) => comparePerformance(dev, prod, config.performanceBudgets),
+    log: (performance, label) => {
+      if (performance.regressions.length) console.log(`🐌 ${label}: ${performance.regressions.map(describeRegression).join(', ')}`);
+    }
+  },
+  pageErrors: {
+    compare: (dev, prod, config) => comparePageErrors(dev, prod, config),
+    log: (pageErrors, label) => pageErrors.new.filter(e => e.type !== 'warning').forEach(e => console.log(`🐞 ${label}: new ${describeError(e)}`))
+  },
+  seo: {
+    compare: (dev, prod, config) => compareSeo(dev, prod, config),
+    log: (seo, label) => seo.changes.forEach(change => console.log(`🔎 ${label}: ${describeSeoChange(change)}`))
+  }
+};
+
+// { accessibility, performance, pageErrors, seo } of a task, null for checks that did not run.
+// `prodChecks` is null without a live right side (baseline runs): nothing then counts as new or changed.
+export function comparePageChecks(devChecks, prodChecks, label, config) {
+  return Object.fromEntries(Object.entries(CHECKS).map(([name, check]) => {
+    if (!devChecks[name]) return [name, null];
+    const result = check.compare(devChecks[name], prodChecks ? prodChecks[name] : null, config);
+    check.log(result, label);
+    return [name, result];
+  }));
+}
@@ -0,0 +1,84 @@
+import { environmentOriginPattern } from "./config.js";
+
+// Problems a page reports while it loads and is captured: console errors and warnings, uncaught
+// exceptions, requests that failed and 4xx/5xx responses. Entries are compared between the two sides
+// with environment origins stripped from URLs, so the same broken request on stage and prod matches;
+// third-party hosts are kept, so a request moving to another CDN counts as a change.
+
+export const ERROR_TYPES = {
+  console: "Console error",
+  warning: "Console warning",
+  exception: "Uncaught exception",
+  requestFailed: "Failed request",
+  http: "HTTP error"
+};
+
+// Start recording on `page`; call stop() for the entries seen so far, de-duplicated with a count
+export function watchPageErrors(page) {
+  const entries = new Map();
+  const add = entry => {
+    const key = `${entry.type}\n${entry.status || ""}\n${entry.message}`;
+    if (entries.has(key)) entries.get(key).count++;
+    else entries.set(key, { ...entry, count: 1 });
+  };
+
+  const listeners = {
+    console: msg => {
+      if (msg.type() === "error") add({ type: "console", message: msg.text() });
+      else if (msg.type() === "warning") add({ type: "warning", message: msg.text() });
+    },
+    pageerror: error => add({ type: "exception", message: error.message }),
+    requestfailed: request => add({ type: "requestFailed", message: `${request.failure()?.errorText || "failed"} ${request.url()}`, url: request.url() }),
+    response: response => {
+      if (response.status() >= 400) add({ type: "http", status: response.status(), message: `${response.status()} ${response.url()}`, url: response.url() });
+    }
+  };
+  for (const [event, listener] of Object.entries(listeners)) page.on(event, listener);
+
+  return {
+    stop() {
+      for (const [event, listener] of Object.entries(listeners)) page.off(event, listener);
+      return [...entries.values()];
+    }
+  };
+}
+
+// Entries only the left side has (new) and only the right side has (resolved)
+export function comparePageErrors(devErrors, prodErrors, config) {
+  const origins = environmentOriginPattern(config);
+  const entryKey = entry => `${entry.type}\n${entry.status || ""}\n${entry.message.replace(origins, "")}`;
+  const devKeys = new Set(devErrors.map(entryKey));
+  const prodKeys = prodErrors && new Set(prodErrors.map(entryKey));
+  return {
+    dev: devErrors,
+    prod: prodErrors,
+    new: prodKeys ? devErrors.filter(entry => !prodKeys.has(entryKey(entry))) : [],
+    resolved: prodErrors ? prodErrors.filter(entry => !devKeys.has(entryKey(entry))) : []
+  };
+}
+
+export function describeError(entry) {
+  return `${ERROR_TYPES[entry.type]}: ${entry.message}${entry.count > 1 ? ` (×${entry.count})` : ""}`;
+}
+
+export function summarizePageErrors(pageErrors, labels) {
+  const count = entries => entries.filter(e => e.type !== "warning").length;
+  const warnings = entries => entries.filter(e => e.type === "warning").length;
+  const side = (entries, label) => `${count(entries)} error(s) and ${warnings(entries)} warning(s) on ${label}`;
+  return [
+    side(pageErrors.dev, labels.dev),
+    pageErrors.prod && side(pageErrors.prod, labels.prod),
+    pageErrors.prod && `${pageErrors.new.length} new, ${pageErrors.resolved.length} resolved`
+  ].filter(Boolean).join(", ");
+}
+
+// Results with new entries other than warnings, and the number of such entries, over all results
+export function totalPageErrors(results) {
+  const recorded = results.filter(r => r.pageErrors);
+  if (!recorded.length) return null;
+  const newErrors = recorded.map(r => r.pageErrors.new.filter(e => e.type !== "warning").length);
+  return {
+    newErrors: newErrors.reduce((sum, n) => sum + n, 0),
+    urlsWithNewErrors: newErrors.filter(Boolean).length
+  };
+}
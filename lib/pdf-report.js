@@ -0,0 +1,309 @@
+import fs from "fs-extra";
+import path from "path";
+import PDFDocument from "pdfkit";
+import { STATUS_ICONS } from "./results.js";
+import { summarizeTextDiff } from "./content-diff.js";
+import { describeShift } from "./shift-compare.js";
+import { summarizeAudit, describeTotals } from "./accessibility.js";
+import { METRICS, formatMetric, describeRegression } from "./performance.js";
+import { summarizePageErrors, describeError } from "./page-errors.js";
+import { describeSeoChange } from "./seo.js";
+
+// PDF report: a summary cover page, then one page per result with the screenshots side by side.
+// `labels` names the two sides ({ dev, prod }).
+
+export async function generatePDFReport(results, summary, { reportPath, labels, title = "Visual Comparison Report" }) {
+  console.log('🙏 please wait...');
+  console.log('📄 Generating PDF report...');
+  try {
+    const doc = new PDFDocument({
+      autoFirstPage: false,
+      margins: {
+        top: 20,
+        bottom: 20,
+        left: 50,
+        right: 50
+      }
+    });
+    fs.ensureDirSync(path.dirname(reportPath));
+    const writeStream = fs.createWriteStream(reportPath);
+    const written = new Promise((resolve, reject) => writeStream.on('finish', resolve).on('error', reject));
+    written.catch(() => {}); // Awaited below; a failure while drawing is reported instead
+    doc.pipe(writeStream);
+
+    // Cover page with Performance Summary
+    doc.addPage();
+    doc.fontSize(24).text(title, {align: 'center', baseline: 'top'});
+    doc.moveDown(1.5);
+
+    doc.fontSize(16).text(' 🚀 Performance Summary', {align: 'left'});
+    doc.moveDown(0.5);
+
+    doc.fontSize(12).text(`Total URLs processed: ${summary.totalUrls}`);
+    if (summary.counts) {
+      doc.text(`✅ Match: ${summary.counts.match}  ⚠️ Warning: ${summary.counts.warning}  ❌ Diff: ${summary.counts.diff}  💥 Failed: ${summary.counts.failed}`);
+    }
+    if (summary.viewports) doc.text(`Viewports: ${summary.viewports.join(', ')}`);
+    if (summary.pageErrors) {
+      doc.text(`🐞 New console errors, exceptions and failed requests: ${summary.pageErrors.newErrors} on ${summary.pageErrors.urlsWithNewErrors} URL(s)`);
+    }
+    if (summary.accessibility) {
+      const { dev, prod, new: added, fixed } = summary.accessibility;
+      doc.text(`♿ Accessibility ${labels.dev}: ${describeTotals(dev)}`);
+      doc.text(`♿ Accessibility ${labels.prod}: ${describeTotals(prod)}`);
+      doc.text(`♿ ${added} new and ${fixed} fixed violation(s) in ${labels.dev}`);
+      if (summary.accessibility.failed) doc.text(`♿ Audits that could not run: ${summary.accessibility.failed}`);
+    }
+    doc.text(`Average task duration: ${summary.avgDuration.toFixed(2)}s`);
+    doc.text(`Total execution time: ${summary.totalDuration.toFixed(2)}s`);
+    doc.text(`Total time: ${(summary.totalDuration / 60).toFixed(2)} min / ${(summary.totalDuration / 3600).toFixed(2)} hr`);
+    if (summary.performance) {
+      const { dev, prod, regressions, regressedUrls } = summary.performance;
+      doc.moveDown(0.5);
+      doc.text(`Average page load (${labels.dev} vs ${labels.prod}):`);
+      for (const metric of Object.keys(METRICS)) {
+        doc.text(`   ${METRICS[metric].label}: ${formatMetric(metric, dev?.[metric])} vs ${formatMetric(metric, prod?.[metric])}`);
+      }
+      doc.fillColor(regressions ? 'red' : 'black').text(`🐌 Regressions beyond budget: ${regressions} on ${regressedUrls} URL(s)`);
+      doc.fillColor('black');
+    }
+    if (summary.seo) {
+      const { duplicateTitles, missingCanonical, changedUrls } = summary.seo;
+      doc.moveDown(0.5);
+      doc.text(`🔎 SEO fields missing or changed on ${changedUrls} URL(s)`);
+      doc.text(`🔎 Titles used by more than one URL on ${labels.dev}: ${duplicateTitles.length}`);
+      doc.fontSize(9).fillColor('gray');
+      duplicateTitles.slice(0, 10).forEach(d => doc.text(`   "${d.title}": ${d.urls.join(', ')}`));
+      doc.fontSize(12).fillColor('black').text(`🔎 URLs without canonical link on ${labels.dev}: ${missingCanonical.length}`);
+      doc.fontSize(9).fillColor('gray');
+      missingCanonical.slice(0, 10).forEach(url => doc.text(`   ${url}`));
+      if (duplicateTitles.length > 10 || missingCanonical.length > 10) doc.text('   … full lists in the HTML report');
+      doc.fontSize(12).fillColor('black');
+    }
+    doc.moveDown(1);
+
+    doc.fontSize(12).text(`Generated: ${new Date().toLocaleString()}`, {align: 'center'});
+
+    // print images and compare results
+    for (const result of results) {
+      doc.addPage();
+      doc.fontSize(16).text(`URL: ${result.url}`, {underline: true, baseline: 'top'});
+      if (result.viewportLabel) {
+        doc.fontSize(11).fillColor('gray').text(`Viewport: ${result.viewportLabel}`);
+        doc.fillColor('black');
+      }
+      doc.moveDown();
+
+      const imgWidth = 180;
+      const imgGap = 30;
+      const pageWidth = doc.page.width;
+      const totalWidth = imgWidth * 3 + imgGap * 2;
+      const startX = (pageWidth - totalWidth) / 2;
+      const y = doc.y;
+      const imageMaxheight= 580;
+
+      // Helper to draw image and label at specific x
+      function drawImageWithLabel(imgPath, label, x) {
+        if (imgPath && fs.existsSync(imgPath)) {
+          const {height, width} = doc.openImage(imgPath);
+          let finalWidth = imgWidth;
+          let finalHeight = (height * imgWidth) / width;
+
+          if (finalHeight > imageMaxheight) {
+            finalHeight = imageMaxheight;
+            finalWidth = (width * finalHeight) / height;
+          }
+
+          doc.fontSize(10).text(label, x, y, {width: finalWidth, align: 'center'});
+          doc.image(imgPath, x, y + 15, {width: finalWidth});
+          return finalHeight;
+        }
+        return 0;
+      }
+
+      // Helper to calculate dimensions with height limit
+      function calculateDimensions(imgPath) {
+        if (imgPath && fs.existsSync(imgPath)) {
+          const {height, width} = doc.openImage(imgPath);
+          let finalWidth = imgWidth;
+          let finalHeight = (height * imgWidth) / width;
+
+          if (finalHeight > imageMaxheight) {
+            finalHeight = imageMaxheight;
+            finalWidth = (width * finalHeight) / height;
+          }
+          return {width: finalWidth, height: finalHeight};
+        }
+        return { width: 0, height: 0};
+      }
+
+      // Draw images side by side
+      const devDims = calculateDimensions(result.devPath);
+      const prodDims = calculateDimensions(result.prodPath);
+      const diffDims = calculateDimensions(result.diffPath);
+
+      const devHeight = devDims.height ? drawImageWithLabel(result.devPath, labels.dev, startX) : 0;
+      const prodHeight = prodDims.height ? drawImageWithLabel(result.prodPath, labels.prod, startX + imgWidth + imgGap) : 0;
+      const diffHeight = diffDims.height ? drawImageWithLabel(result.diffPath, 'Compare', startX + (imgWidth + imgGap) * 2) : 0;
+
+      // Find the max image height to position the description below all images/labels 
+      const maxImgHeight = Math.max(devHeight, prodHeight, diffHeight);
+      let descY = y + maxImgHeight + 45; // Increased to account for label above
+
+      doc.x = doc.page.margins.left;
+      doc.y = descY;
+
+      doc.moveDown();
+      const matchText = result.missing
+        ? `🚫 Missing: no screenshot in ${labels[result.missing]}`
+        : result.failed
+        ? `${result.authFailure ? '🔒 Auth failure' : '💥 Capture failed'}: ${result.error}`
+        : result.baselineMissing
+        ? '🆕 No approved baseline yet'
+        : result.textOnly
+        ? `${STATUS_ICONS[result.status]} ${summarizeTextDiff(result.textDiff)}`
+        : result.status === 'match' && result.diffPixels === 0
+        ? '✅ No visual difference'
+        : `${STATUS_ICONS[result.status]} ${result.diffPixels} pixels differ (${result.diffPercent.toFixed(3)}%)`;
+      doc.fontSize(14).text(
+        `Match: ${matchText}`,
+        {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right}
+      );
+
+      if (result.textDiff && !result.textOnly) {
+        doc.moveDown(0.5);
+        doc.fontSize(12).text(`📝 ${summarizeTextDiff(result.textDiff)}`,
+          {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right});
+      }
+
+      if (result.textDiff && !result.textDiff.identical) {
+        const clip = text => text.length > 120 ? `${text.slice(0, 120)}…` : text;
+        doc.moveDown(0.5);
+        doc.fontSize(9).fillColor('gray');
+        for (const heading of result.textDiff.headings.removed) doc.text(`Heading removed: ${clip(heading)}`);
+        for (const heading of result.textDiff.headings.added) doc.text(`Heading added: ${clip(heading)}`);
+        for (const change of result.textDiff.changes.slice(0, 15)) {
+          doc.text(`${change.type}: "${clip(change.before)}" → "${clip(change.after)}"`,
+            {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right});
+        }
+        if (result.textDiff.changes.length > 15) doc.text(`… ${result.textDiff.changes.length - 15} more change(s) in the content diff workbook`);
+        doc.fillColor('black');
+      }
+
+      if (result.performance) {
+        const { dev, prod, regressions } = result.performance;
+        doc.moveDown(0.5);
+        doc.fontSize(10).fillColor('gray').text(
+          Object.keys(METRICS).map(metric => `${METRICS[metric].label} ${formatMetric(metric, dev[metric])}${prod ? ` / ${formatMetric(metric, prod[metric])}` : ''}`).join('  ·  '),
+          {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right}
+        );
+        if (regressions.length) {
+          doc.fontSize(11).fillColor('red').text(`🐌 Slower than ${labels.prod}: ${regressions.map(describeRegression).join(', ')}`,
+            {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right});
+        }
+        doc.fillColor('black');
+      }
+
+      if (result.pageErrors && (result.pageErrors.dev.length || result.pageErrors.prod?.length)) {
+        const clip = text => text.length > 140 ? `${text.slice(0, 140)}…` : text;
+        const listed = result.pageErrors.prod ? result.pageErrors.new : result.pageErrors.dev;
+        doc.moveDown(0.5);
+        doc.fontSize(12).text(`🐞 ${summarizePageErrors(result.pageErrors, labels)}`,
+          {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right});
+        doc.fontSize(9);
+        for (const entry of listed.slice(0, 10)) {
+          doc.fillColor(entry.type === 'warning' ? 'gray' : 'red').text(`${result.pageErrors.prod ? 'New ' : ''}${clip(describeError(entry))}`,
+            {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right});
+        }
+        if (listed.length > 10) doc.fillColor('gray').text(`… ${listed.length - 10} more in results.json`);
+        doc.fillColor('black');
+      }
+
+      if (result.accessibility) {
+        const clip = text => text.length > 100 ? `${text.slice(0, 100)}…` : text;
+        doc.moveDown(0.5);
+        doc.fontSize(12).text(`♿ ${summarizeAudit(result.accessibility)}`,
+          {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right});
+        doc.fontSize(9);
+        const { new: added = [], fixed = [] } = result.accessibility;
+        for (const o of added.slice(0, 10)) {
+          doc.fillColor(['critical', 'serious'].includes(o.impact) ? 'red' : 'gray')
+            .text(`New ${o.impact}: ${o.rule} - ${clip(o.selector)}`, {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right});
+        }
+        if (added.length > 10) doc.fillColor('gray').text(`… ${added.length - 10} more new violation(s) in results.json`);
+        doc.fillColor('green');
+        for (const o of fixed.slice(0, 5)) {
+          doc.text(`Fixed ${o.impact}: ${o.rule} - ${clip(o.selector)}`, {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right});
+        }
+        doc.fillColor('black');
+      }
+
+      if (result.seo && result.seo.changes.length) {
+        const { changes } = result.seo;
+        doc.moveDown(0.5);
+        doc.fontSize(12).text(`🔎 ${changes.length} SEO field(s) missing or changed`,
+          {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right});
+        doc.fontSize(9);
+        for (const change of changes.slice(0, 10)) {
+          doc.fillColor(change.change === 'missing' ? 'red' : 'gray').text(describeSeoChange(change),
+            {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right});
+        }
+        if (changes.length > 10) doc.fillColor('gray').text(`… ${changes.length - 10} more in results.json`);
+        doc.fillColor('black');
+      }
+
+      if (result.thresholds) {
+        doc.moveDown(0.5);
+        doc.fontSize(11).fillColor('gray').text(
+          `Status: ${result.status} (thresholds: ${result.thresholds})`,
+          {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right}
+        );
+        doc.fillColor('black');
+      }
+
+      if (result.shifts && result.shifts.length) {
+        doc.moveDown(0.5);
+        doc.fontSize(11).fillColor('gray').text(
+          result.shifts.map(shift => describeShift(shift, labels)).join('\n'),
+          {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right}
+        );
+        doc.fillColor('black');
+      }
+
+      if (result.unstable && result.unstable.length) {
+        const sides = result.unstable.map(side => labels[side]);
+        doc.moveDown(0.5);
+        doc.fontSize(11).fillColor('orange').text(
+          `⏳ Page never stabilised on ${sides.join(' and ')} — the screenshot may show content mid-animation.`,
+          {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right}
+        );
+        doc.fillColor('black');
+      }
+
+      if (result.ignoredRegions) {
+        doc.moveDown(0.5);
+        doc.fontSize(11).fillColor('gray').text(
+          `${result.ignoredRegions} masked region(s) ignored — shown in blue on the diff image.`,
+          {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right}
+        );
+        doc.fillColor('black');
+      }
+
+      if (result.diffPixels && !result.baselineMissing && !result.failed) {
+        doc.moveDown();
+        doc.fontSize(12).fillColor(result.status === 'diff' ? 'red' : 'orange').text(
+          'Differences highlighted in the DIFF image above. Red/pink areas show where the screenshots differ.',
+          {align: 'left', width: pageWidth - doc.page.margins.left - doc.page.margins.right}
+        );
+        doc.fillColor('black');
+      }
+    }
+
+    doc.end();
+    await written;
+    console.log(`📄 PDF report generated: ${reportPath}`);
+  } catch (error) {
+    console.error('❌ Error generating PDF report:', error.message);
+    throw error;
+  }
+}
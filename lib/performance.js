@@ -0,0 +1,129 @@
+// Web performance of each page load: Navigation Timing, Core Web Vitals from PerformanceObserver and the
+// requests of the load, read right after navigation (before recipes or scrolling touch the page).
+// Left and right are compared per URL against `performanceBudgets`: a metric regresses when the left side
+// is worse than the right by more than every limit set for it (`increase` in the metric's unit, `percent`).
+
+export const METRICS = {
+  ttfb: { label: "TTFB", unit: "ms" },
+  domContentLoaded: { label: "DOMContentLoaded", unit: "ms" },
+  load: { label: "Load", unit: "ms" },
+  lcp: { label: "LCP", unit: "ms" },
+  cls: { label: "CLS", unit: "" },
+  tbt: { label: "TBT", unit: "ms" },
+  requests: { label: "Requests", unit: "" },
+  transferBytes: { label: "Transferred", unit: "KB" }
+};
+
+// Runs in the page before any of its scripts; observers that only see entries from now on start here
+function observePerformance() {
+  window.__automationPerf = { lcp: 0, cls: 0, longTasks: [] };
+  const perf = window.__automationPerf;
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+    } catch {
+      // Entry type not supported by this browser
+    }
+  };
+  observe("largest-contentful-paint", entry => { perf.lcp = entry.renderTime || entry.loadTime || entry.startTime; });
+  observe("layout-shift", entry => { if (!entry.hadRecentInput) perf.cls += entry.value; });
+  observe("longtask", entry => perf.longTasks.push({ start: entry.startTime, duration: entry.duration }));
+}
+
+// Requests and bytes are counted on Playwright's side: the page's resource timing buffer stops at 250
+// entries and reports 0 bytes for cross-origin responses without Timing-Allow-Origin
+export async function installPerformanceObservers(page) {
+  await page.addInitScript(observePerformance);
+  let requests = 0;
+  const sizes = [];
+  const listeners = {
+    requestfinished: request => {
+      requests++;
+      sizes.push(request.sizes()
+        .then(({ responseHeadersSize, responseBodySize }) => responseHeadersSize + responseBodySize)
+        .catch(() => 0));
+    },
+    requestfailed: () => requests++
+  };
+  for (const [event, listener] of Object.entries(listeners)) page.on(event, listener);
+
+  return {
+    async stop() {
+      for (const [event, listener] of Object.entries(listeners)) page.off(event, listener);
+      const bytes = await Promise.all(sizes);
+      return { requests, transferBytes: bytes.reduce((sum, size) => sum + Math.max(0, size), 0) };
+    }
+  };
+}
+
+// { ttfb, domContentLoaded, load, lcp, cls, tbt, requests, transferBytes } of the current page load, with
+// the request counter installPerformanceObservers returned
+export async function collectPerformance(page, network) {
+  const timing = await page.evaluate(() => {
+    const [navigation] = performance.getEntriesByType("navigation");
+    const perf = window.__automationPerf || { lcp: 0, cls: 0, longTasks: [] };
+    const fcp = performance.getEntriesByName("first-contentful-paint")[0];
+    // Total blocking time: the part of every long task after the first paint that exceeds 50 ms
+    const tbt = perf.longTasks
+      .filter(task => !fcp || task.start >= fcp.startTime)
+      .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+    return {
+      ttfb: Math.round(navigation.responseStart),
+      domContentLoaded: Math.round(navigation.domContentLoadedEventEnd),
+      load: Math.round(navigation.loadEventEnd),
+      lcp: Math.round(perf.lcp),
+      cls: Number(perf.cls.toFixed(4)),
+      tbt: Math.round(tbt)
+    };
+  });
+  return { ...timing, ...await network.stop() };
+}
+
+function exceeds(budget, dev, prod) {
+  if (!budget || (budget.increase == null && budget.percent == null)) return false;
+  const increase = dev - prod;
+  if (budget.increase != null && increase <= budget.increase) return false;
+  if (budget.percent != null && (prod ? (increase / prod) * 100 : Infinity) <= budget.percent) return false;
+  return true;
+}
+
+// Both sides' metrics with the ones where the left side is over budget
+export function comparePerformance(devMetrics, prodMetrics, budgets) {
+  const regressions = prodMetrics
+    ? Object.keys(METRICS)
+      .filter(metric => exceeds(budgets[metric], devMetrics[metric], prodMetrics[metric]))
+      .map(metric => ({ metric, dev: devMetrics[metric], prod: prodMetrics[metric] }))
+    : [];
+  return { dev: devMetrics, prod: prodMetrics, regressions };
+}
+
+export function formatMetric(metric, value) {
+  if (value == null) return "n/a";
+  if (metric === "transferBytes") return `${(value / 1024).toFixed(0)} KB`;
+  return `${value}${METRICS[metric].unit ? ` ${METRICS[metric].unit}` : ""}`;
+}
+
+export function describeRegression({ metric, dev, prod }) {
+  const change = prod ? ` (+${(((dev - prod) / prod) * 100).toFixed(0)}%)` : "";
+  return `${METRICS[metric].label} ${formatMetric(metric, dev)} vs ${formatMetric(metric, prod)}${change}`;
+}
+
+// Average of every metric per side over all measured results, and the number of regressions
+export function averagePerformance(results) {
+  const measured = results.filter(r => r.performance);
+  if (!measured.length) return null;
+  const average = side => {
+    const values = measured.map(r => r.performance[side]).filter(Boolean);
+    if (!values.length) return null;
+    return Object.fromEntries(Object.keys(METRICS).map(metric => {
+      const mean = values.reduce((sum, v) => sum + v[metric], 0) / values.length;
+      return [metric, metric === "cls" ? Number(mean.toFixed(4)) : Math.round(mean)];
+    }));
+  };
+  return {
+    dev: average("dev"),
+    prod: average("prod"),
+    regressions: measured.reduce((sum, r) => sum + r.performance.regressions.length, 0),
+    regressedUrls: measured.filter(r => r.performance.regressions.length).length
+  };
+}
@@ -0,0 +1,93 @@
+import fs from "fs-extra";
+import { matchesUrlPattern } from "./url-patterns.js";
+
+// Page-preparation recipes: steps run after a page has loaded and before it is measured and captured.
+// The recipe file (config.recipesFile) has three sections, applied in this order:
+//   { "global": [steps], "hosts": { "<host pattern>": [steps] }, "urls": { "<path pattern>": [steps] } }
+// A step is an object with one action key, e.g. { "click": "button.accept", "optional": true }.
+// A failing step fails the capture unless it is marked "optional".
+
+const EMPTY_RECIPES = { global: [], hosts: {}, urls: {} };
+
+const actions = {
+  // Click an element if it is visible; an optional click on a missing element is skipped quietly
+  async click(page, selector, step) {
+    const element = page.locator(selector).first();
+    if (!await element.isVisible()) {
+      if (step.optional) return;
+      throw new Error(`"${selector}" is not visible`);
+    }
+    await element.click({ timeout: step.timeout });
+    if (step.wait) await page.waitForTimeout(step.wait);
+  },
+
+  async waitForSelector(page, selector, step) {
+    await page.locator(selector).first().waitFor({ state: step.state || "visible", timeout: step.timeout });
+  },
+
+  async hide(page, selector) {
+    await page.addStyleTag({ content: `${selector} { visibility: hidden !important; }` });
+  },
+
+  async remove(page, selector) {
+    await page.evaluate(selector => document.querySelectorAll(selector).forEach(el => el.remove()), selector);
+  },
+
+  async css(page, content) {
+    await page.addStyleTag({ content: Array.isArray(content) ? content.join("\n") : content });
+  },
+
+  // "bottom", "top" or a y offset in CSS pixels
+  async scroll(page, target) {
+    await page.evaluate(target => {
+      const y = target === "bottom" ? document.body.scrollHeight : target === "top" ? 0 : Number(target);
+      window.scrollTo(0, y);
+    }, target);
+  },
+
+  // "load", "domcontentloaded" or "networkidle"
+  async waitForLoadState(page, state, step) {
+    await page.waitForLoadState(state, { timeout: step.timeout });
+  },
+
+  async wait(page, ms) {
+    await page.waitForTimeout(ms);
+  }
+};
+
+export const RECIPE_ACTIONS = Object.keys(actions);
+
+function stepAction(step) {
+  const action = RECIPE_ACTIONS.find(name => name in step);
+  if (!action) throw new Error(`Recipe step has no known action (${RECIPE_ACTIONS.join(", ")}): ${JSON.stringify(step)}`);
+  return action;
+}
+
+export function loadRecipes(config) {
+  if (!config.recipesFile || !fs.existsSync(config.recipesFile)) return EMPTY_RECIPES;
+  const recipes = { ...EMPTY_RECIPES, ...fs.readJsonSync(config.recipesFile) };
+  // Catch typos before the first page is opened
+  [...recipes.global, ...Object.values(recipes.hosts).flat(), ...Object.values(recipes.urls).flat()].forEach(stepAction);
+  return recipes;
+}
+
+// Steps for a page: global first, then every matching host section, then every matching URL section
+export function getRecipeForUrl(recipes, url) {
+  const { host, pathname } = new URL(url);
+  const matching = sections => Object.entries(sections)
+    .filter(([pattern]) => matchesUrlPattern(pattern, sections === recipes.hosts ? host : pathname))
+    .flatMap(([, steps]) => steps);
+  return [...recipes.global, ...matching(recipes.hosts), ...matching(recipes.urls)];
+}
+
+export async function applyRecipe(page, steps) {
+  for (const step of steps) {
+    const action = stepAction(step);
+    try {
+      await actions[action](page, step[action], step);
+    } catch (error) {
+      if (!step.optional) throw new Error(`Recipe step ${action} failed: ${error.message}`);
+      console.warn(`⚠️ Skipped optional ${action} step:`, error.message);
+    }
+  }
+}
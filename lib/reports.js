@@ -0,0 +1,96 @@
+import path from "path";
+import { countByStatus } from "./results.js";
+import { generatePDFReport } from "./pdf-report.js";
+import { generateHTMLReport } from "./html-report.js";
+import { writeJSONResults, writeJUnitReport } from "./ci-output.js";
+import { writeContentDiffWorkbook } from "./content-diff.js";
+import { totalSeverities, describeTotals } from "./accessibility.js";
+import { averagePerformance, METRICS, formatMetric } from "./performance.js";
+import { totalPageErrors } from "./page-errors.js";
+import { seoSummary } from "./seo.js";
+
+// Everything written at the end of a comparison, shared by the compare and report commands
+
+export function environmentLabel(url) {
+  if (url.includes("localhost")) return "local";
+  if (url.includes("dev.")) return "Dev";
+  if (url.includes("stage.")) return "Stage";
+  return "Prod";
+}
+
+// Names of the two sides of the comparison
+export function reportLabels(config) {
+  return {
+    dev: environmentLabel(config.devBase),
+    prod: config.baseline ? `Baseline (${config.baselineName})` : environmentLabel(config.prodBase)
+  };
+}
+
+export function buildSummary(results, { viewports, totalDuration }) {
+  return {
+    totalUrls: new Set(results.map(r => r.url)).size,
+    counts: countByStatus(results),
+    viewports,
+    avgDuration: results.reduce((sum, r) => sum + r.duration, 0) / (results.length || 1),
+    totalDuration,
+    accessibility: totalSeverities(results),
+    performance: averagePerformance(results),
+    pageErrors: totalPageErrors(results),
+    seo: seoSummary(results)
+  };
+}
+
+export function printSummary(results, summary) {
+  console.log(`\n 📊 Performance Summary:`);
+  console.log(`Total execution time: ${summary.totalDuration.toFixed(2)}s`);
+  console.log(`Average task duration: ${summary.avgDuration.toFixed(2)}s`);
+  console.log(`Tasks completed: ${results.filter(r => !r.failed).length}`);
+  console.log(`Tasks failed: ${results.filter(r => r.failed).length}`);
+  const missing = results.filter(r => r.missing);
+  if (missing.length) console.log(`🚫 Screenshots on one side only: ${missing.length}`);
+  const authFailures = results.filter(r => r.authFailure).length;
+  if (authFailures) console.log(`🔒 Auth failures (login page instead of content): ${authFailures}`);
+  const unstable = results.filter(r => r.unstable && r.unstable.length);
+  if (unstable.length) {
+    console.log(`⏳ Pages that never stabilised: ${unstable.length}`);
+    unstable.forEach(r => console.log(`   ${r.url} [${r.viewport}] (${r.unstable.join(', ')})`));
+  }
+  if (summary.performance) {
+    const { dev, prod, regressions, regressedUrls } = summary.performance;
+    console.log(`⚡ Average page load, left vs right:`);
+    for (const metric of Object.keys(METRICS)) {
+      console.log(`   ${METRICS[metric].label}: ${formatMetric(metric, dev?.[metric])} vs ${formatMetric(metric, prod?.[metric])}`);
+    }
+    if (regressions) console.log(`🐌 Performance regressions beyond budget: ${regressions} on ${regressedUrls} URL(s)`);
+  }
+  if (summary.pageErrors && summary.pageErrors.newErrors) {
+    console.log(`🐞 New console errors, exceptions and failed requests: ${summary.pageErrors.newErrors} on ${summary.pageErrors.urlsWithNewErrors} URL(s)`);
+  }
+  if (summary.seo) {
+    const { duplicateTitles, missingCanonical, changedUrls } = summary.seo;
+    console.log(`🔎 SEO - ${changedUrls} URL(s) with missing or changed fields, ${duplicateTitles.length} duplicate title(s), ${missingCanonical.length} URL(s) without canonical`);
+  }
+  if (summary.accessibility) {
+    const { dev, prod, new: added, fixed, failed } = summary.accessibility;
+    console.log(`♿ Accessibility - left: ${describeTotals(dev)}; right: ${describeTotals(prod)}; ${added} new, ${fixed} fixed${failed ? `, ${failed} audit(s) failed` : ''}`);
+  }
+  const { counts } = summary;
+  console.log(`✅ Match: ${counts.match}  ⚠️ Warning: ${counts.warning}  ❌ Diff: ${counts.diff}  💥 Failed: ${counts.failed}`);
+}
+
+// PDF, HTML, JSON and JUnit reports plus the content-diff workbook, into config.out
+export async function writeReports(results, summary, config) {
+  const labels = reportLabels(config);
+  await writeJSONResults(results, summary, { reportPath: path.join(config.out, config.jsonReportName), labels });
+  await writeJUnitReport(results, summary, { reportPath: path.join(config.out, config.junitReportName), labels, a11yFailOn: config.a11yFailOn });
+  if (results.some(r => r.textDiff)) {
+    writeContentDiffWorkbook(results, path.join(config.out, config.textReportName));
+  }
+  // Last, so the CI outputs are written even when the PDF or HTML report cannot be
+  await generatePDFReport(results, summary, { reportPath: config.reportPath, labels });
+  await generateHTMLReport(results, summary, {
+    reportPath: path.join(config.out, config.htmlReportName),
+    labels,
+    embedImages: config.htmlEmbedImages
+  });
+}
@@ -0,0 +1,18 @@
+// Shared helpers for the per-URL result objects produced by the compare command
+
+export const STATUSES = ["match", "warning", "diff", "failed"];
+
+export const STATUS_ICONS = { match: "✅", warning: "⚠️", diff: "❌", failed: "💥" };
+
+// "match", "warning", "diff" or "failed" - the status every report groups and filters by
+export function getResultStatus(result) {
+  if (result.failed) return "failed";
+  if (result.status) return result.status;
+  return result.match ? "match" : "diff";
+}
+
+export function countByStatus(results) {
+  const counts = { match: 0, warning: 0, diff: 0, failed: 0 };
+  for (const result of results) counts[getResultStatus(result)]++;
+  return counts;
+}
@@ -0,0 +1,159 @@
+import fs from "fs-extra";
+import path from "path";
+import { getResultStatus } from "./results.js";
+import { resolveEnvironment } from "./config.js";
+
+// Every comparison run lives in <runsDir>/<runId>/ with its screenshots, reports, a results/
+// folder with the full result of each finished URL/viewport task and a manifest.json holding
+// each task's state, status and result file. Both are written after every task, so an
+// interrupted run can be resumed where it stopped.
+
+const MANIFEST = "manifest.json";
+
+// Settings a resumed run keeps from the original run, whatever the command line says
+const RUN_SETTINGS = [
+  "left", "right", "viewports", "baseline", "baselineName", "textOnly", "compareMode", "masks", "thresholds", "screenshotFormat",
+  "textDiff", "sectionSelectors", "accessibilityAudit", "performanceMetrics", "capturePageErrors", "seoMetadata"
+];
+
+const RERUN_STATUSES = ["failed", "diff", "warning"];
+
+export function taskKey(urlPath, viewport) {
+  return `${urlPath}::${viewport}`;
+}
+
+// Result file of a task, relative to its run directory
+function resultFile(urlPath, viewport) {
+  return path.join("results", `${urlPath.replace(/\W+/g, '_')}__${viewport}.json`);
+}
+
+function newRunId() {
+  return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+export function listRuns(config) {
+  if (!fs.existsSync(config.runsDir)) return [];
+  return fs.readdirSync(config.runsDir)
+    .filter(id => fs.existsSync(path.join(config.runsDir, id, MANIFEST)))
+    .sort();
+}
+
+export function latestRunId(config) {
+  const runs = listRuns(config);
+  return runs[runs.length - 1] || null;
+}
+
+// Screenshot and report folders of a run, relative to its run directory
+export function runPaths(config, runId) {
+  const dir = path.join(config.runsDir, runId);
+  const out = path.join(dir, config.out);
+  return {
+    dir,
+    screenshotDir: path.join(dir, config.screenshotDir),
+    out,
+    reportPath: path.join(out, config.reportName)
+  };
+}
+
+class Run {
+  constructor(config, manifest) {
+    this.config = config;
+    this.manifest = manifest;
+    this.paths = runPaths(config, manifest.id);
+  }
+
+  get id() {
+    return this.manifest.id;
+  }
+
+  save() {
+    this.manifest.updatedAt = new Date().toISOString();
+    fs.outputJsonSync(path.join(this.paths.dir, MANIFEST), this.manifest, { spaces: 2 });
+  }
+
+  addTasks(urls, viewportNames) {
+    for (const url of urls) {
+      for (const viewport of viewportNames) {
+        const key = taskKey(url, viewport);
+        if (!this.manifest.tasks[key]) this.manifest.tasks[key] = { url, viewport, state: "pending" };
+      }
+    }
+    this.save();
+  }
+
+  // Tasks to process in this invocation, in manifest order
+  selectTasks(mode) {
+    return Object.values(this.manifest.tasks).filter(task => {
+      if (mode === "only-failed") return task.state === "done" && RERUN_STATUSES.includes(task.status);
+      return task.state !== "done";
+    });
+  }
+
+  // The full result goes to its own file; the manifest only keeps what resuming and listing need
+  record(result) {
+    const task = this.manifest.tasks[taskKey(result.url, result.viewport)];
+    const file = resultFile(result.url, result.viewport);
+    fs.outputJsonSync(path.join(this.paths.dir, file), result);
+    Object.assign(task, { state: "done", status: getResultStatus(result), resultFile: file, finishedAt: new Date().toISOString() });
+    this.save();
+  }
+
+  // Results of every finished task, including those from earlier invocations
+  results() {
+    return Object.values(this.manifest.tasks)
+      .filter(task => task.state === "done")
+      .map(task => fs.readJsonSync(path.join(this.paths.dir, task.resultFile)));
+  }
+}
+
+// Point the config at a run: its settings, environments and directories
+function applyRun(config, manifest) {
+  Object.assign(config, manifest.settings);
+  const devEnv = resolveEnvironment(config, config.left);
+  const prodEnv = resolveEnvironment(config, config.right);
+  Object.assign(config, { devEnv, prodEnv, devBase: devEnv.baseUrl, prodBase: prodEnv.baseUrl });
+
+  const run = new Run(config, manifest);
+  Object.assign(config, {
+    screenshotDir: run.paths.screenshotDir,
+    out: run.paths.out,
+    reportPath: run.paths.reportPath
+  });
+  return run;
+}
+
+function readManifest(config, runId) {
+  if (!runId) throw new Error(`No previous run found in ${config.runsDir}`);
+  const file = path.join(config.runsDir, runId, MANIFEST);
+  if (!fs.existsSync(file)) throw new Error(`Run not found: ${runId}`);
+  return fs.readJsonSync(file);
+}
+
+// An existing run (default: the latest) as it was left, e.g. to rebuild its reports
+export function loadRun(config, runId = null) {
+  return applyRun(config, readManifest(config, runId || latestRunId(config)));
+}
+
+// Start a new run, or reopen one for --resume / --only-failed (a run id, or the latest run).
+// Returns the run with config paths and settings pointed at it.
+export function openRun(config) {
+  const reopen = config.resume || config.onlyFailed;
+  let manifest;
+
+  if (reopen) {
+    const runId = reopen === true ? latestRunId(config) : reopen;
+    manifest = readManifest(config, runId);
+    console.log(`♻️ ${config.resume ? "Resuming" : "Re-running failed and differing URLs of"} run ${runId}`);
+  } else {
+    const id = config.runId || newRunId();
+    if (fs.existsSync(path.join(config.runsDir, id, MANIFEST))) {
+      throw new Error(`Run ${id} already exists - use --resume ${id} to continue it`);
+    }
+    const settings = Object.fromEntries(RUN_SETTINGS.map(key => [key, config[key]]));
+    manifest = { id, createdAt: new Date().toISOString(), settings, tasks: {} };
+    console.log(`🆕 Starting run ${id}`);
+  }
+
+  // A new run is first written when its tasks are added, so a rejected command line leaves nothing behind
+  return applyRun(config, manifest);
+}
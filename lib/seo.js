@@ -0,0 +1,91 @@
+import { environmentOriginPattern } from "./config.js";
+
+// SEO metadata of a page (title, meta description and robots, canonical, hreflang alternates, Open Graph
+// and Twitter tags, JSON-LD) compared field by field between the two sides. Environment origins are
+// stripped from URLs first, so a canonical pointing at each environment's own host counts as unchanged;
+// any other host is kept, so a canonical moving to a foreign domain is reported.
+
+// { title, description, robots, canonical, hreflang: { lang: href }, openGraph: {}, twitter: {}, jsonLd: [] }
+export async function extractSeo(page) {
+  return page.evaluate(() => {
+    const meta = selector => document.querySelector(selector)?.getAttribute("content") ?? null;
+    const tags = prefix => Object.fromEntries([...document.querySelectorAll(`meta[property^="${prefix}"], meta[name^="${prefix}"]`)]
+      .map(el => [el.getAttribute("property") || el.getAttribute("name"), el.getAttribute("content")]));
+    return {
+      title: document.title || null,
+      description: meta('meta[name="description"]'),
+      robots: meta('meta[name="robots"]'),
+      canonical: document.querySelector('link[rel="canonical"]')?.href ?? null,
+      hreflang: Object.fromEntries([...document.querySelectorAll('link[rel="alternate"][hreflang]')]
+        .map(el => [el.getAttribute("hreflang"), el.href])),
+      openGraph: tags("og:"),
+      twitter: tags("twitter:"),
+      jsonLd: [...document.querySelectorAll('script[type="application/ld+json"]')].map(el => {
+        try {
+          return JSON.parse(el.textContent);
+        } catch {
+          return { invalidJson: el.textContent.trim().slice(0, 200) };
+        }
+      })
+    };
+  });
+}
+
+// Flat { field: value } with environment origins stripped, e.g. "hreflang:de-DE" or "og:title"
+function flatten(seo, origins) {
+  const strip = value => value == null ? null : String(value).replace(origins, "");
+  const fields = {
+    title: seo.title,
+    description: seo.description,
+    robots: seo.robots,
+    canonical: strip(seo.canonical),
+    jsonLd: seo.jsonLd.length ? strip(JSON.stringify(seo.jsonLd)) : null
+  };
+  for (const [lang, href] of Object.entries(seo.hreflang)) fields[`hreflang:${lang}`] = strip(href);
+  for (const [name, content] of Object.entries({ ...seo.openGraph, ...seo.twitter })) fields[name] = strip(content);
+  return fields;
+}
+
+// [{ field, dev, prod, change: "missing" | "added" | "changed" }] - "missing" means the left side lost it
+export function diffSeo(devSeo, prodSeo, config) {
+  const origins = environmentOriginPattern(config);
+  const dev = flatten(devSeo, origins);
+  const prod = flatten(prodSeo, origins);
+  const fields = [...new Set([...Object.keys(prod), ...Object.keys(dev)])];
+  return fields
+    .filter(field => (dev[field] ?? null) !== (prod[field] ?? null))
+    .map(field => ({
+      field,
+      dev: dev[field] ?? null,
+      prod: prod[field] ?? null,
+      change: dev[field] == null ? "missing" : prod[field] == null ? "added" : "changed"
+    }));
+}
+
+// Both sides' metadata with the fields that differ
+export function compareSeo(devSeo, prodSeo, config) {
+  return { dev: devSeo, prod: prodSeo, changes: prodSeo ? diffSeo(devSeo, prodSeo, config) : [] };
+}
+
+export function describeSeoChange({ field, dev, prod, change }) {
+  const clip = text => text.length > 80 ? `${text.slice(0, 80)}…` : text;
+  if (change === "missing") return `${field} missing (was "${clip(prod)}")`;
+  if (change === "added") return `${field} added: "${clip(dev)}"`;
+  return `${field} changed: "${clip(prod)}" → "${clip(dev)}"`;
+}
+
+// Site-wide checks of the left side: titles shared by several URLs, URLs without canonical, pages with changes
+export function seoSummary(results) {
+  const byUrl = new Map(results.filter(r => r.seo).map(r => [r.url, r.seo]));
+  if (!byUrl.size) return null;
+
+  const urlsByTitle = new Map();
+  for (const [url, seo] of byUrl) {
+    if (seo.dev.title) urlsByTitle.set(seo.dev.title, [...(urlsByTitle.get(seo.dev.title) || []), url]);
+  }
+  return {
+    duplicateTitles: [...urlsByTitle].filter(([, urls]) => urls.length > 1).map(([title, urls]) => ({ title, urls })),
+    missingCanonical: [...byUrl].filter(([, seo]) => !seo.dev.canonical).map(([url]) => url),
+    changedUrls: [...byUrl].filter(([, seo]) => seo.changes.length).length
+  };
+}
@@ -0,0 +1,52 @@
+// Sequence alignment shared by the shift-aware image comparison and the text diff.
+
+// Myers' O(ND) diff on two integer sequences. Returns the list of matched [i, j] pairs,
+// or null when more than maxEdits edits are needed.
+export function matchSequences(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  let v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, d, n, m);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, depth, n, m) {
+  const pairs = [];
+  let x = n;
+  let y = m;
+  for (let d = depth; d >= 0; d--) {
+    const v = trace[d];
+    const at = k => v[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) pairs.push([--x, --y]);
+    if (d > 0) { x = prevX; y = prevY; }
+  }
+  return pairs.reverse();
+}
+
+// Intern arbitrary values (strings, keys) as integers so they can be passed to matchSequences()
+export function internSequences(...sequences) {
+  const ids = new Map();
+  return sequences.map(seq => Int32Array.from(seq, value => {
+    if (!ids.has(value)) ids.set(value, ids.size);
+    return ids.get(value);
+  }));
+}
@@ -0,0 +1,110 @@
+import fs from "fs-extra";
+import path from "path";
+import { loginToEnvironments, SessionExpiredError } from "./login.js";
+import { launchBrowser } from "./browser.js";
+
+// Saved logins, one file per environment host: <sessionStoreDir>/<host>.json holding the Playwright
+// storage state captured after passing the environment's login gates. A session older than
+// sessionMaxAgeHours is treated as expired and not reused; a stored one is still checked against
+// the login gates before use, so a session the server dropped early is renewed too.
+
+function hostOf(env) {
+  return new URL(env.baseUrl).host;
+}
+
+export function sessionPath(config, env) {
+  return path.join(config.sessionStoreDir, `${hostOf(env).replace(/[^\w.-]+/g, "_")}.json`);
+}
+
+export function isExpired(session, now = Date.now()) {
+  return new Date(session.expiresAt).getTime() <= now;
+}
+
+export function readSession(config, env) {
+  const file = sessionPath(config, env);
+  return fs.existsSync(file) ? fs.readJsonSync(file) : null;
+}
+
+function saveSession(config, env, storageState) {
+  const savedAt = new Date();
+  const session = {
+    host: hostOf(env),
+    environment: env.name,
+    savedAt: savedAt.toISOString(),
+    expiresAt: new Date(savedAt.getTime() + config.sessionMaxAgeHours * 3600000).toISOString(),
+    storageState
+  };
+  fs.outputJsonSync(sessionPath(config, env), session, { spaces: 2 });
+  return session;
+}
+
+export function listSessions(config) {
+  if (!fs.existsSync(config.sessionStoreDir)) return [];
+  return fs.readdirSync(config.sessionStoreDir)
+    .filter(file => file.endsWith(".json"))
+    .map(file => fs.readJsonSync(path.join(config.sessionStoreDir, file)));
+}
+
+// Remove the sessions of the given environments, or every stored session
+export function clearSessions(config, environments = null) {
+  const files = environments
+    ? environments.map(env => sessionPath(config, env))
+    : fs.existsSync(config.sessionStoreDir)
+      ? fs.readdirSync(config.sessionStoreDir).filter(file => file.endsWith(".json")).map(file => path.join(config.sessionStoreDir, file))
+      : [];
+  const removed = files.filter(file => fs.existsSync(file));
+  removed.forEach(file => fs.removeSync(file));
+  return removed;
+}
+
+// Log in to one environment, starting from its stored session unless that has expired. A stored session
+// the gates report as logged out (see loggedOutSelector) is dropped and the login starts from scratch.
+async function refreshSession(browser, env, config) {
+  const stored = readSession(config, env);
+  if (stored && isExpired(stored)) console.log(`⌛ Stored session for ${hostOf(env)} expired at ${stored.expiresAt}`);
+  const storageState = stored && !isExpired(stored) ? stored.storageState : undefined;
+  try {
+    return await loginInContext(browser, env, config, storageState);
+  } catch (error) {
+    if (!storageState || !(error instanceof SessionExpiredError)) throw error;
+    console.log(`⌛ Stored session for ${hostOf(env)} is no longer valid - logging in again`);
+    return loginInContext(browser, env, config, undefined);
+  }
+}
+
+async function loginInContext(browser, env, config, storageState) {
+  const context = await browser.newContext({ storageState });
+  try {
+    const page = await context.newPage();
+    await loginToEnvironments(page, [env], config);
+    return saveSession(config, env, await context.storageState());
+  } finally {
+    await context.close();
+  }
+}
+
+// Cookies and local storage of several sessions in one storage state; later sessions win
+function mergeStorageStates(states) {
+  const cookies = new Map();
+  const origins = new Map();
+  for (const state of states) {
+    for (const cookie of state.cookies) cookies.set(`${cookie.name}|${cookie.domain}|${cookie.path}`, cookie);
+    for (const origin of state.origins) origins.set(origin.origin, origin);
+  }
+  return { cookies: [...cookies.values()], origins: [...origins.values()] };
+}
+
+// Validated sessions for the environments as one storage state for browser.newContext().
+// Environments without a usable session are logged in to (scripted or interactively) first.
+export async function loadSessions(environments, config) {
+  const browser = await launchBrowser(config);
+  try {
+    const sessions = [];
+    for (const env of environments) {
+      sessions.push(await refreshSession(browser, env, config));
+    }
+    return mergeStorageStates(sessions.map(session => session.storageState));
+  } finally {
+    await browser.close();
+  }
+}
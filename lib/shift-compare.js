@@ -0,0 +1,221 @@
+import crypto from "crypto";
+import pixelmatch from "pixelmatch";
+import { PNG } from "pngjs";
+import { matchSequences, internSequences } from "./sequence-diff.js";
+
+// Shift-aware comparison. Instead of padding the shorter screenshot at the bottom, the two images
+// are split into hunks - runs of rows that correspond to each other - so content inserted on one
+// side is reported as an insertion/deletion at a position and the rest of the page still lines up.
+//
+// Hunk: { type: "equal" | "change" | "insert" | "delete", a: [start, end), b: [start, end) }
+// where `a` are rows of the left (dev) image and `b` rows of the right (prod) image.
+
+const INSERT_COLOR = [30, 170, 60];
+const DELETE_COLOR = [220, 40, 40];
+
+// One integer per pixel row; identical rows get the same id across images sharing `ids`
+function rowHashes(img, ids) {
+  const rowBytes = img.width * 4;
+  const hashes = new Int32Array(img.height);
+  for (let y = 0; y < img.height; y++) {
+    const digest = crypto.createHash("sha1").update(img.data.subarray(y * rowBytes, (y + 1) * rowBytes)).digest("base64");
+    if (!ids.has(digest)) ids.set(digest, ids.size);
+    hashes[y] = ids.get(digest);
+  }
+  return hashes;
+}
+
+// Turn matched row pairs into hunks; unmatched rows between two matches form one hunk
+function pairsToHunks(pairs, n, m) {
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  const push = (type, a, b) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type && last.a[1] === a[0] && last.b[1] === b[0]) {
+      last.a[1] = a[1];
+      last.b[1] = b[1];
+    } else {
+      hunks.push({ type, a, b });
+    }
+  };
+  const gap = (toI, toJ) => {
+    if (toI === i && toJ === j) return;
+    const type = toI > i && toJ > j ? "change" : toI > i ? "insert" : "delete";
+    push(type, [i, toI], [j, toJ]);
+  };
+  for (const [pi, pj] of [...pairs, [n, m]]) {
+    gap(pi, pj);
+    if (pi < n && pj < m) push("equal", [pi, pi + 1], [pj, pj + 1]);
+    i = pi + 1;
+    j = pj + 1;
+  }
+  return hunks;
+}
+
+// Align by identical pixel rows. Rows are compared exactly, so anti-aliasing noise ends up in
+// small "change" hunks; when the pages are too different the middle becomes a single change hunk.
+export function alignByBands(img1, img2, { maxEdits = 2000 } = {}) {
+  if (img1.width !== img2.width) return [{ type: "change", a: [0, img1.height], b: [0, img2.height] }];
+  const ids = new Map();
+  const a = rowHashes(img1, ids);
+  const b = rowHashes(img2, ids);
+
+  // Trim the common top and bottom first so the edit search only runs on the changed middle
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const midA = a.subarray(prefix, a.length - suffix);
+  const midB = b.subarray(prefix, b.length - suffix);
+  const midPairs = matchSequences(midA, midB, maxEdits);
+
+  const pairs = [];
+  for (let k = 0; k < prefix; k++) pairs.push([k, k]);
+  if (midPairs) {
+    for (const [pi, pj] of midPairs) pairs.push([pi + prefix, pj + prefix]);
+  }
+  for (let k = suffix; k > 0; k--) pairs.push([a.length - k, b.length - k]);
+  return pairsToHunks(pairs, img1.height, img2.height);
+}
+
+// Align by DOM sections recorded at capture time ({ key, y } in screenshot pixels).
+// Each section runs from its top to the next section's top; sections are matched by key.
+export function alignBySections(img1, img2, sections1 = [], sections2 = []) {
+  const segments = (sections, height) => {
+    const tops = [{ key: "__top", y: 0 }, ...sections.filter(s => s.y > 0 && s.y < height)]
+      .sort((x, y) => x.y - y.y);
+    return tops.map((s, i) => ({ key: s.key, start: s.y, end: i + 1 < tops.length ? tops[i + 1].y : height }));
+  };
+  const segA = segments(sections1, img1.height);
+  const segB = segments(sections2, img2.height);
+
+  const [keysA, keysB] = internSequences(segA.map(s => s.key), segB.map(s => s.key));
+  const pairs = matchSequences(keysA, keysB, segA.length + segB.length) || [];
+
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  for (const [pi, pj] of [...pairs, [segA.length, segB.length]]) {
+    if (pi > i) hunks.push({ type: "insert", a: [segA[i].start, segA[pi - 1].end], b: [rowAt(segB, j), rowAt(segB, j)] });
+    if (pj > j) hunks.push({ type: "delete", a: [rowAt(segA, pi), rowAt(segA, pi)], b: [segB[j].start, segB[pj - 1].end] });
+    if (pi < segA.length && pj < segB.length) {
+      hunks.push({ type: "change", a: [segA[pi].start, segA[pi].end], b: [segB[pj].start, segB[pj].end] });
+    }
+    i = pi + 1;
+    j = pj + 1;
+  }
+  return hunks;
+}
+
+function rowAt(segments, index) {
+  return index < segments.length ? segments[index].start : segments[segments.length - 1].end;
+}
+
+function copyRows(src, dst, fromY, toY, count) {
+  const srcBytes = src.width * 4;
+  const dstBytes = dst.width * 4;
+  for (let r = 0; r < count; r++) {
+    src.data.copy(dst.data, (toY + r) * dstBytes, (fromY + r) * srcBytes, (fromY + r) * srcBytes + Math.min(srcBytes, dstBytes));
+  }
+}
+
+function tintRows(img, fromY, count, color, alpha = 0.45) {
+  for (let y = fromY; y < fromY + count; y++) {
+    for (let x = 0; x < img.width; x++) {
+      const idx = (y * img.width + x) * 4;
+      for (let c = 0; c < 3; c++) img.data[idx + c] = Math.round(img.data[idx + c] * (1 - alpha) + color[c] * alpha);
+      img.data[idx + 3] = 255;
+    }
+  }
+}
+
+// Build aligned copies of both images from the hunks, pixel-diff them and mark
+// insertions (left only, green) and deletions (right only, red) on the diff image.
+// Returns mappers from original rows to aligned rows so overlays can be placed.
+export function compareAligned(img1, img2, hunks, { threshold = 0.1 } = {}) {
+  const width = Math.max(img1.width, img2.width);
+  const layout = hunks.map(h => ({ ...h, height: Math.max(h.a[1] - h.a[0], h.b[1] - h.b[0]) }));
+  const height = layout.reduce((sum, h) => sum + h.height, 0);
+
+  const aligned1 = new PNG({ width, height, fill: true });
+  const aligned2 = new PNG({ width, height, fill: true });
+  aligned1.data.fill(255);
+  aligned2.data.fill(255);
+
+  const shifts = [];
+  let y = 0;
+  let removedPixels = 0;
+  for (const h of layout) {
+    h.y = y;
+    const rowsA = h.a[1] - h.a[0];
+    const rowsB = h.b[1] - h.b[0];
+    if (h.type === "insert") {
+      // Same rows on both sides: pixelmatch ignores them and they are counted once below
+      copyRows(img1, aligned1, h.a[0], y, rowsA);
+      copyRows(img1, aligned2, h.a[0], y, rowsA);
+      shifts.push({ type: "insertion", y: h.a[0], height: rowsA, atRight: h.b[0] });
+      removedPixels += rowsA * width;
+    } else if (h.type === "delete") {
+      copyRows(img2, aligned1, h.b[0], y, rowsB);
+      copyRows(img2, aligned2, h.b[0], y, rowsB);
+      shifts.push({ type: "deletion", y: h.b[0], height: rowsB, atLeft: h.a[0] });
+      removedPixels += rowsB * width;
+    } else {
+      copyRows(img1, aligned1, h.a[0], y, rowsA);
+      copyRows(img2, aligned2, h.b[0], y, rowsB);
+    }
+    y += h.height;
+  }
+
+  const diff = new PNG({ width, height });
+  const matched = pixelmatch(aligned1.data, aligned2.data, diff.data, width, height, { threshold });
+  for (const h of layout) {
+    if (h.type === "insert") tintRows(diff, h.y, h.height, INSERT_COLOR);
+    if (h.type === "delete") tintRows(diff, h.y, h.height, DELETE_COLOR);
+  }
+
+  const mapper = side => row => {
+    const h = layout.find(l => row >= l[side][0] && row < l[side][1]);
+    return h ? h.y + (row - h[side][0]) : row;
+  };
+
+  return {
+    diff,
+    diffPixels: matched + removedPixels,
+    totalPixels: width * height,
+    shifts,
+    mapLeftRow: mapper("a"),
+    mapRightRow: mapper("b")
+  };
+}
+
+// Top-level elements matching the selectors, keyed by id, first heading or selector and index,
+// with their top offset in screenshot pixels - the anchors for alignBySections()
+export async function measureSections(page, selectors) {
+  return page.evaluate(selectors => {
+    const ratio = window.devicePixelRatio || 1;
+    const matches = selectors.flatMap(selector =>
+      [...document.querySelectorAll(selector)].map((el, index) => ({ el, selector, index })));
+    const topLevel = matches.filter(({ el }) => !matches.some(other => other.el !== el && other.el.contains(el)));
+    return topLevel
+      .map(({ el, selector, index }) => {
+        const box = el.getBoundingClientRect();
+        const heading = el.querySelector("h1, h2, h3, h4");
+        const key = el.id ? `#${el.id}` : heading && heading.textContent.trim()
+          ? `${selector}:${heading.textContent.trim().slice(0, 80)}`
+          : `${selector}[${index}]`;
+        return { key, y: Math.floor((box.top + window.scrollY) * ratio), height: box.height };
+      })
+      .filter(section => section.height > 0)
+      .map(({ key, y }) => ({ key, y }));
+  }, selectors);
+}
+
+export function describeShift(shift, labels = { dev: "left", prod: "right" }) {
+  return shift.type === "insertion"
+    ? `➕ ${shift.height}px only in ${labels.dev} at y=${shift.y} (${labels.prod} y=${shift.atRight})`
+    : `➖ ${shift.height}px only in ${labels.prod} at y=${shift.y} (${labels.dev} y=${shift.atLeft})`;
+}
@@ -0,0 +1,63 @@
+// Page stabilisation before capture: freeze animations, scroll through the page so lazy content loads,
+// wait for images and web fonts, then take screenshots until two in a row are identical.
+
+const FREEZE_CSS = `
+  *, *::before, *::after {
+    animation-duration: 0s !important;
+    animation-delay: 0s !important;
+    animation-iteration-count: 1 !important;
+    transition: none !important;
+    caret-color: transparent !important;
+    scroll-behavior: auto !important;
+  }
+`;
+
+// Scroll down one viewport at a time (the page may grow while scrolling), then back to the top
+async function scrollThrough(page, { scrollStepDelay, maxScrollSteps }) {
+  await page.evaluate(async ({ delay, maxSteps }) => {
+    for (let step = 1; step <= maxSteps; step++) {
+      const y = step * window.innerHeight;
+      if (y >= document.documentElement.scrollHeight) break;
+      window.scrollTo(0, y);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    window.scrollTo(0, 0);
+  }, { delay: scrollStepDelay, maxSteps: maxScrollSteps });
+}
+
+// Wait until every image has loaded or failed and web fonts are ready, at most `timeout` ms
+async function waitForImagesAndFonts(page, timeout) {
+  await page.evaluate(async timeout => {
+    const pending = [...document.images].filter(img => !img.complete).map(img => new Promise(resolve => {
+      img.addEventListener("load", resolve, { once: true });
+      img.addEventListener("error", resolve, { once: true });
+    }));
+    const loaded = Promise.all([...pending, document.fonts ? document.fonts.ready : null]);
+    await Promise.race([loaded, new Promise(resolve => setTimeout(resolve, timeout))]);
+  }, timeout);
+}
+
+// Prepare the page for capture. With `screenshotOptions` it also waits for two identical consecutive
+// screenshots and returns the last one: { stable, buffer, waited }. Without, only { stable: true }.
+export async function stabilizePage(page, config, screenshotOptions = null) {
+  if (config.disableAnimations) await page.addStyleTag({ content: FREEZE_CSS });
+  await scrollThrough(page, config);
+  await waitForImagesAndFonts(page, config.imageTimeout);
+  if (!screenshotOptions) return { stable: true, buffer: null, waited: 0 };
+
+  const options = {
+    ...screenshotOptions,
+    animations: config.disableAnimations ? "disabled" : "allow",
+    caret: config.disableAnimations ? "hide" : "initial"
+  };
+  const start = Date.now();
+  let previous = await page.screenshot(options);
+  for (;;) {
+    await page.waitForTimeout(config.stabilizeInterval);
+    const current = await page.screenshot(options);
+    const waited = Date.now() - start;
+    if (current.equals(previous)) return { stable: true, buffer: current, waited };
+    if (waited >= config.stabilizeMaxWait) return { stable: false, buffer: current, waited };
+    previous = current;
+  }
+}
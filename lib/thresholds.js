@@ -0,0 +1,36 @@
+import { matchesUrlPattern } from "./url-patterns.js";
+
+// Pass/fail tolerances for a pixel diff. A result passes ("match") while it stays within every
+// `pass` limit, fails ("diff") once it exceeds any `fail` limit, and is a "warning" in between.
+// A limit that is not set is not checked.
+
+// Global thresholds merged with every `urls` entry whose pattern matches the path
+export function getThresholdsForUrl(thresholds = {}, urlPath) {
+  const resolved = { pass: { ...thresholds.pass }, fail: { ...thresholds.fail } };
+  for (const [pattern, urlThresholds] of Object.entries(thresholds.urls || {})) {
+    if (!matchesUrlPattern(pattern, urlPath)) continue;
+    Object.assign(resolved.pass, urlThresholds.pass);
+    Object.assign(resolved.fail, urlThresholds.fail);
+  }
+  return resolved;
+}
+
+function within(limits, diffPixels, diffPercent) {
+  if (limits.pixels != null && diffPixels > limits.pixels) return false;
+  if (limits.percent != null && diffPercent > limits.percent) return false;
+  return true;
+}
+
+export function evaluateDiff(diffPixels, diffPercent, { pass, fail }) {
+  if (within(pass, diffPixels, diffPercent)) return "match";
+  if (!within(fail, diffPixels, diffPercent)) return "diff";
+  return "warning";
+}
+
+export function describeThresholds({ pass, fail }) {
+  const format = (limits, unset) => [
+    limits.pixels != null && `${limits.pixels}px`,
+    limits.percent != null && `${limits.percent}%`
+  ].filter(Boolean).join(" / ") || unset;
+  return `pass ≤ ${format(pass, "any")}, fail > ${format(fail, "never")}`;
+}
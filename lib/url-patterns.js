@@ -0,0 +1,9 @@
+// Path patterns used in per-URL config sections; "*" matches any run of characters
+export function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+export function matchesUrlPattern(pattern, urlPath) {
+  return patternToRegExp(pattern).test(urlPath);
+}
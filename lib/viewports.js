@@ -0,0 +1,52 @@
+import { devices } from "playwright";
+
+// Turn a viewport entry into { name, label, contextOptions }.
+// Entries can be a Playwright device name ("iPhone 13"), a "WIDTHxHEIGHT" string,
+// or an object: { name, device } or { name, width, height, ...contextOptions }.
+export function resolveViewport(entry) {
+  if (typeof entry === "string") {
+    const size = entry.match(/^(\d+)x(\d+)$/);
+    entry = size ? { width: Number(size[1]), height: Number(size[2]) } : { device: entry };
+  }
+
+  const { name, device, width, height, ...rest } = entry;
+
+  if (device) {
+    const descriptor = devices[device];
+    if (!descriptor) throw new Error(`Unknown Playwright device: "${device}"`);
+    const { viewport, defaultBrowserType, ...deviceOptions } = descriptor;
+    return {
+      name: slug(name || device),
+      label: `${device} (${viewport.width}×${viewport.height})`,
+      contextOptions: { viewport, ...deviceOptions, ...rest }
+    };
+  }
+
+  if (!width || !height) throw new Error(`Viewport needs a device or width/height: ${JSON.stringify(entry)}`);
+  return {
+    name: slug(name || `${width}x${height}`),
+    label: name ? `${name} (${width}×${height})` : `${width}×${height}`,
+    contextOptions: { viewport: { width, height }, ...rest }
+  };
+}
+
+export function resolveViewports(entries) {
+  const viewports = entries.map(resolveViewport);
+  const names = viewports.map(v => v.name);
+  const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+  if (duplicate) throw new Error(`Duplicate viewport name: "${duplicate}"`);
+  return viewports;
+}
+
+// One isolated context per viewport, all sharing the logged-in storage state
+export async function createViewportContexts(browser, viewports, storageState) {
+  const contexts = {};
+  for (const viewport of viewports) {
+    contexts[viewport.name] = await browser.newContext({ ...viewport.contextOptions, storageState });
+  }
+  return contexts;
+}
+
+function slug(value) {
+  return value.toString().toLowerCase().replace(/\W+/g, "-").replace(/^-|-$/g, "");
+}